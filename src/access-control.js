@@ -0,0 +1,168 @@
+/**
+ * Access control for the HTTP server - API keys with roles, CORS origins and rate limiting
+ */
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { addSecret } = require('./logger');
+const { getConfig } = require('./config');
+
+const ROLES = {
+    read: ['read'],
+    admin: ['read', 'admin']
+};
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Parse api.keys ("name:key:role" entries) plus the single api.key, which acts as an admin key
+ */
+function parseApiKeys(api = getConfig().api) {
+    const keys = [];
+
+    api.keys.forEach(entry => {
+        const [name, key, role = 'read'] = entry.split(':');
+        if (!name || !key) {
+            throw new Error(`Invalid API_KEYS entry "${name || entry}" - use name:key:role`);
+        }
+        if (!ROLES[role]) {
+            throw new Error(`Invalid role "${role}" for API key "${name}" - use read or admin`);
+        }
+        addSecret(key);
+        keys.push({ name, role, digest: digest(key) });
+    });
+
+    if (api.key) {
+        addSecret(api.key);
+        keys.push({ name: 'default', role: 'admin', digest: digest(api.key) });
+    }
+
+    return keys;
+}
+
+class AccessControl {
+    constructor(options = {}) {
+        const api = getConfig().api;
+        this.keys = parseApiKeys(api);
+        this.corsOrigins = api.corsOrigins;
+        this.rateLimit = api.rateLimit;
+        this.authFailureLimit = api.authFailureLimit;
+        this.trustedProxies = api.trustedProxies;
+        this.rateWindowMs = 60 * 1000;
+        this.windows = new Map();
+        // Failed authentications per client address, so invalid keys cannot be tried without limit
+        this.failures = new Map();
+        this.log = options.log || (() => {});
+    }
+
+    applyCors(req, res) {
+        const origin = req.headers.origin;
+        res.setHeader('Vary', 'Origin');
+
+        if (this.corsOrigins.includes('*')) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (origin && this.corsOrigins.includes(origin)) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        } else {
+            return;
+        }
+
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+
+    /**
+     * The address the request came from. Clients can put anything in X-Forwarded-For, so only
+     * the entries appended by the configured number of trusted proxies are believed: with N
+     * proxies, the client is the Nth entry from the right.
+     */
+    clientAddress(req) {
+        const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+        if (this.trustedProxies === 0 || forwarded.length === 0) {
+            return req.socket.remoteAddress;
+        }
+        return forwarded[Math.max(0, forwarded.length - this.trustedProxies)];
+    }
+
+    reject(req, statusCode, message, keyName = null) {
+        const path = req.url.split('?')[0];
+        this.log(`Rejected ${req.method} ${path} from ${this.clientAddress(req)}` +
+            `${keyName ? ` (key: ${keyName})` : ''}: ${message}`, 'warning');
+        return new ApiError(statusCode, message);
+    }
+
+    findKey(req) {
+        const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        if (!match) return null;
+
+        const candidate = digest(match[1]);
+        return this.keys.find(key => crypto.timingSafeEqual(key.digest, candidate)) || null;
+    }
+
+    // The current one-minute window for a key name or client address
+    currentWindow(windows, id, now) {
+        let window = windows.get(id);
+        if (!window || now - window.start >= this.rateWindowMs) {
+            // Drop finished windows now and then, so addresses seen once do not pile up
+            if (windows.size >= 1000) {
+                windows.forEach((entry, entryId) => {
+                    if (now - entry.start >= this.rateWindowMs) windows.delete(entryId);
+                });
+            }
+            window = { start: now, count: 0 };
+            windows.set(id, window);
+        }
+        return window;
+    }
+
+    consumeRateLimit(res, key) {
+        const now = Date.now();
+        const window = this.currentWindow(this.windows, key.name, now);
+        window.count++;
+
+        res.setHeader('X-RateLimit-Limit', this.rateLimit);
+        res.setHeader('X-RateLimit-Remaining', Math.max(0, this.rateLimit - window.count));
+
+        if (window.count > this.rateLimit) {
+            res.setHeader('Retry-After', Math.ceil((window.start + this.rateWindowMs - now) / 1000));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check the request's bearer key against a scope ("read" or "admin").
+     * Returns the key ({ name, role }) or throws an ApiError.
+     */
+    authorize(req, res, scope) {
+        if (this.keys.length === 0) {
+            throw this.reject(req, 503, 'API access is disabled - configure API_KEYS');
+        }
+
+        // Addresses over the failure limit are refused before their key is even checked
+        const now = Date.now();
+        const failures = this.currentWindow(this.failures, this.clientAddress(req), now);
+        if (failures.count >= this.authFailureLimit) {
+            res.setHeader('Retry-After', Math.ceil((failures.start + this.rateWindowMs - now) / 1000));
+            throw this.reject(req, 429, 'Too many failed authentication attempts');
+        }
+
+        const key = this.findKey(req);
+        if (!key) {
+            failures.count++;
+            throw this.reject(req, 401, 'Missing or invalid API key');
+        }
+        if (!ROLES[key.role].includes(scope)) {
+            throw this.reject(req, 403, `API key "${key.name}" does not have the ${scope} scope`, key.name);
+        }
+        if (!this.consumeRateLimit(res, key)) {
+            throw this.reject(req, 429, 'Rate limit exceeded', key.name);
+        }
+
+        return { name: key.name, role: key.role };
+    }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,112 @@
+/**
+ * Alert state - remembers what each alert last notified about, so alerts fire only
+ * when something changes, with reminders for unresolved alerts and quiet hours
+ */
+
+const fs = require('fs').promises;
+const { getConfig } = require('./config');
+const { writeJsonFile, serialize } = require('./state-file');
+
+function minutesOf(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+class AlertState {
+    constructor(filepath, options = {}) {
+        const config = getConfig();
+        this.filepath = filepath || config.alerts.stateFile;
+        this.reminderHours = options.reminderHours !== undefined ? options.reminderHours : config.alerts.reminderHours;
+        this.quietHours = options.quietHours !== undefined ? options.quietHours : config.alerts.quietHours;
+        this.timezone = options.timezone || config.timezone;
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.filepath, 'utf8'));
+        } catch (error) {
+            // A missing or damaged state file only means the next alerts are sent again
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return {};
+            throw error;
+        }
+    }
+
+    async write(state) {
+        await writeJsonFile(this.filepath, state);
+    }
+
+    async get(server, key) {
+        const state = await this.read();
+        return (state[server] && state[server][key]) || { items: {}, since: null, notifiedAt: null };
+    }
+
+    /**
+     * Save the items of an alert as notified at `now`; an empty set clears the alert
+     */
+    async record(server, key, items, now = new Date()) {
+        await serialize(this.filepath, async () => {
+            const state = await this.read();
+            if (!state[server]) state[server] = {};
+            if (Object.keys(items).length === 0) {
+                delete state[server][key];
+            } else {
+                const since = state[server][key] ? state[server][key].since : now.toISOString();
+                state[server][key] = { items, since, notifiedAt: now.toISOString() };
+            }
+            await this.write(state);
+        });
+    }
+
+    /**
+     * Whether `now` falls inside the quiet hours (HH:MM-HH:MM in the configured timezone, may span midnight)
+     */
+    isQuiet(now = new Date()) {
+        if (!this.quietHours) return false;
+
+        const [start, end] = this.quietHours.split('-').map(minutesOf);
+        const local = new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.timezone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).format(now);
+        const minutes = minutesOf(local);
+
+        return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    }
+
+    /**
+     * Compare the current alert items ({ id: status }) with what was last notified.
+     * Returns { reason, changed, quiet }: reason is 'new' (an item appeared or changed status),
+     * 'resolved' (every item cleared), 'reminder' (unchanged for reminderHours) or null.
+     * Nothing is sent during quiet hours - the change is still pending on the next run after them.
+     */
+    async evaluate(server, key, items, now = new Date()) {
+        const previous = await this.get(server, key);
+        const changed = Object.keys(items).filter(id => items[id] !== previous.items[id]);
+        const active = Object.keys(items).length > 0;
+
+        let reason = null;
+        if (changed.length > 0) {
+            reason = 'new';
+        } else if (!active && Object.keys(previous.items).length > 0) {
+            reason = 'resolved';
+        } else if (active && this.reminderHours > 0 &&
+            now - new Date(previous.notifiedAt) >= this.reminderHours * 60 * 60 * 1000) {
+            reason = 'reminder';
+        }
+
+        if (reason && this.isQuiet(now)) {
+            return { reason: null, changed, quiet: true };
+        }
+
+        // Forget items that cleared without a notification, so they alert again if they return
+        if (!reason && Object.keys(previous.items).length !== Object.keys(items).length) {
+            await this.record(server, key, items, new Date(previous.notifiedAt));
+        }
+
+        return { reason, changed, quiet: false };
+    }
+}
+
+module.exports = AlertState;
@@ -0,0 +1,369 @@
+/**
+ * JSON API for VIP management - /vips and /backups routes of the HTTP server
+ */
+
+const path = require('path');
+const { selectServers } = require('./servers');
+const { parseDuration, isPermanent, resolveExpiration } = require('./duration');
+const { ApiError } = require('./errors');
+const { EXPORT_FORMATS, validateFilters, filterVips, renderExport } = require('./vip-export');
+const { plainName } = require('./backup-archive');
+const { validatePlayerId } = require('./player-identity');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_TIMELINE_DAYS = 365;
+const ROUTE_SHAPES = ['/vips', '/vips/timeline', '/vips/export', '/vips/:id', '/backups', '/backups/:id', '/backups/:id/restore'];
+
+class VIPApi {
+    constructor(vipService, accessControl, statusCache) {
+        this.vipService = vipService;
+        this.accessControl = accessControl;
+        this.statusCache = statusCache;
+    }
+
+    sendJson(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    sendError(res, error) {
+        const statusCode = error instanceof ApiError ? error.statusCode : 502;
+        const body = { error: error.message, timestamp: new Date().toISOString() };
+        if (error.details) body.details = error.details;
+        this.sendJson(res, statusCode, body);
+    }
+
+    /**
+     * Handle a request if it belongs to the API. Returns false for other routes.
+     */
+    async handle(req, res, url) {
+        const segments = url.pathname.split('/').filter(Boolean);
+        if (segments[0] !== 'vips' && segments[0] !== 'backups') {
+            return false;
+        }
+
+        try {
+            // Reads need the read scope, anything that changes VIPs needs admin
+            const key = this.accessControl.authorize(req, res, req.method === 'GET' ? 'read' : 'admin');
+            await this.route(req, res, url, key, segments.map(segment => {
+                try {
+                    return decodeURIComponent(segment);
+                } catch (error) {
+                    throw new ApiError(400, 'Malformed URL');
+                }
+            }));
+        } catch (error) {
+            this.sendError(res, error);
+        }
+        return true;
+    }
+
+    async route(req, res, url, key, segments) {
+        // Named sub-routes take precedence over IDs - no player ID looks like "timeline" or "export"
+        const shape = ROUTE_SHAPES.includes(`/${segments.join('/')}`)
+            ? `/${segments.join('/')}`
+            : `/${segments[0]}${segments.length > 1 ? '/:id' : ''}${segments.slice(2).map(segment => `/${segment}`).join('')}`;
+
+        switch (`${req.method} ${shape}`) {
+            case 'GET /vips':
+                return this.sendJson(res, 200, await this.listVips(url));
+            case 'GET /vips/timeline':
+                return this.sendJson(res, 200, await this.expiryTimeline(url));
+            case 'GET /vips/export':
+                return await this.exportVips(res, url);
+            case 'GET /vips/:id':
+                return this.sendJson(res, 200, await this.getVip(url, segments[1]));
+            case 'POST /vips':
+                return this.sendJson(res, 201, await this.grantVip(url, await this.readBody(req), key.name));
+            case 'PATCH /vips/:id':
+                return this.sendJson(res, 200, await this.extendVip(url, segments[1], await this.readBody(req), key.name));
+            case 'DELETE /vips/:id':
+                return this.sendJson(res, 200, await this.revokeVip(url, segments[1], key.name));
+            case 'GET /backups':
+                return this.sendJson(res, 200, await this.listBackups(url));
+            case 'GET /backups/:id':
+                return await this.downloadBackup(res, url, segments[1]);
+            case 'POST /backups/:id/restore':
+                return this.sendJson(res, 200, await this.restoreBackup(url, segments[1], await this.readBody(req), key.name));
+            default:
+                throw new ApiError(ROUTE_SHAPES.includes(shape) ? 405 : 404, `No route for ${req.method} ${url.pathname}`);
+        }
+    }
+
+    async readBody(req) {
+        let size = 0;
+        const chunks = [];
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                throw new ApiError(413, 'Request body too large');
+            }
+            chunks.push(chunk);
+        }
+
+        const raw = Buffer.concat(chunks).toString('utf8').trim();
+        if (!raw) return {};
+
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (error) {
+            throw new ApiError(400, 'Request body must be valid JSON');
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new ApiError(400, 'Request body must be a JSON object');
+        }
+        return body;
+    }
+
+    selectServers(url) {
+        try {
+            return selectServers(this.vipService.vipManagers, url.searchParams.get('server'));
+        } catch (error) {
+            throw new ApiError(404, error.message);
+        }
+    }
+
+    // Changes target exactly one server, like the CLI
+    selectServer(url) {
+        const vipManagers = this.selectServers(url);
+        if (vipManagers.length > 1) {
+            throw new ApiError(400, 'Several servers are configured - choose one with ?server=<name>', {
+                servers: vipManagers.map(manager => manager.serverName)
+            });
+        }
+        return vipManagers[0];
+    }
+
+    validatePlayerId(playerId) {
+        try {
+            return validatePlayerId(playerId);
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+    }
+
+    async fetchVips(vipManager, url) {
+        const snapshot = await this.statusCache.get(vipManager, { refresh: url.searchParams.get('refresh') === 'true' });
+        if (!snapshot.vips) {
+            throw new Error(snapshot.error || 'No VIP data available');
+        }
+        const now = new Date();
+        return snapshot.vips.map(vip => ({ server: vipManager.serverName, ...vipManager.describeVip(vip, now) }));
+    }
+
+    parseListFilters(url) {
+        const params = url.searchParams;
+        const filters = {};
+
+        if (params.get('status')) {
+            filters.status = params.get('status').split(',').map(value => value.trim());
+        }
+        if (params.get('platform')) {
+            filters.platform = params.get('platform');
+        }
+        if (params.get('expiringWithin')) {
+            filters.expiringWithin = Number(params.get('expiringWithin'));
+        }
+        if (params.get('search')) {
+            filters.search = params.get('search');
+        }
+
+        const errors = validateFilters(filters);
+        if (errors.length > 0) {
+            throw new ApiError(400, 'Invalid query parameters', errors);
+        }
+        return filters;
+    }
+
+    async listVips(url) {
+        const filters = this.parseListFilters(url);
+        let vips = [];
+        for (const vipManager of this.selectServers(url)) {
+            vips = vips.concat(await this.fetchVips(vipManager, url));
+        }
+
+        vips = filterVips(vips, filters);
+        return { count: vips.length, vips };
+    }
+
+    /**
+     * The filtered VIP list as a CSV, JSON or CRCON VIP file download
+     */
+    async exportVips(res, url) {
+        const format = url.searchParams.get('format') || 'csv';
+        if (!EXPORT_FORMATS[format]) {
+            throw new ApiError(400, 'Invalid query parameters', [`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`]);
+        }
+
+        const { vips } = await this.listVips(url);
+        const { content, contentType, extension } = renderExport(vips, format);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        res.writeHead(200, {
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="vip_export_${timestamp}.${extension}"`,
+            'Content-Length': Buffer.byteLength(content)
+        });
+        res.end(content);
+    }
+
+    /**
+     * Upcoming expirations grouped by day, for the dashboard's timeline
+     */
+    async expiryTimeline(url) {
+        const days = url.searchParams.get('days') ? Number(url.searchParams.get('days')) : 30;
+        if (!Number.isInteger(days) || days < 1 || days > MAX_TIMELINE_DAYS) {
+            throw new ApiError(400, 'Invalid query parameters', [`days must be a whole number from 1 to ${MAX_TIMELINE_DAYS}`]);
+        }
+
+        let vips = [];
+        for (const vipManager of this.selectServers(url)) {
+            vips = vips.concat(await this.fetchVips(vipManager, url));
+        }
+
+        const now = Date.now();
+        const until = now + days * 24 * 60 * 60 * 1000;
+        const byDate = new Map();
+        vips.filter(vip => vip.expiration !== null)
+            .filter(vip => {
+                const time = new Date(vip.expiration).getTime();
+                return time >= now && time <= until;
+            })
+            .sort((a, b) => new Date(a.expiration) - new Date(b.expiration))
+            .forEach(vip => {
+                const date = new Date(vip.expiration).toISOString().slice(0, 10);
+                if (!byDate.has(date)) byDate.set(date, []);
+                byDate.get(date).push(vip);
+            });
+
+        const dates = Array.from(byDate, ([date, entries]) => ({ date, count: entries.length, vips: entries }));
+        return { days, count: dates.reduce((sum, entry) => sum + entry.count, 0), dates };
+    }
+
+    async getVip(url, playerId) {
+        const vipManagers = this.selectServers(url);
+        const id = this.validatePlayerId(playerId);
+
+        let matches = [];
+        for (const vipManager of vipManagers) {
+            matches = matches.concat((await this.fetchVips(vipManager, url)).filter(vip => vip.player_id === id));
+        }
+        if (matches.length === 0) {
+            throw new ApiError(404, `Player ${id} is not a VIP`);
+        }
+        return matches.length === 1 ? matches[0] : { player_id: id, servers: matches };
+    }
+
+    async grantVip(url, body, actor) {
+        const vipManager = this.selectServer(url);
+        const errors = [];
+
+        if (typeof body.player_id !== 'string' || !body.player_id) {
+            errors.push('player_id is required');
+        }
+        if (body.duration === undefined && body.expiration === undefined) {
+            errors.push('duration or expiration is required');
+        } else if (body.duration !== undefined && body.expiration !== undefined) {
+            errors.push('use either duration or expiration, not both');
+        }
+        const durationOrDate = body.duration !== undefined ? body.duration : body.expiration;
+        if (durationOrDate !== undefined) {
+            try {
+                resolveExpiration(String(durationOrDate));
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        if (body.description !== undefined && (typeof body.description !== 'string' || body.description.length > 100)) {
+            errors.push('description must be a string of at most 100 characters');
+        }
+        if (errors.length > 0) {
+            throw new ApiError(400, 'Invalid request body', errors);
+        }
+
+        this.validatePlayerId(body.player_id);
+        const result = await vipManager.grantVip(body.player_id, String(durationOrDate), body.description || null, { actor });
+        this.statusCache.invalidate(vipManager);
+        return result;
+    }
+
+    async extendVip(url, playerId, body, actor) {
+        const vipManager = this.selectServer(url);
+        const id = this.validatePlayerId(playerId);
+
+        if (typeof body.duration !== 'string' || parseDuration(body.duration) === null || isPermanent(body.duration)) {
+            throw new ApiError(400, 'Invalid request body', ['duration is required, e.g. 12h, 30d, 2w or 1mo']);
+        }
+
+        const vip = await vipManager.findVip(id);
+        if (!vip) {
+            throw new ApiError(404, `Player ${id} is not a VIP`);
+        }
+        if (vip.expiration === null) {
+            throw new ApiError(409, `Player ${id} already has permanent VIP`);
+        }
+        const result = await vipManager.extendVip(id, body.duration, { actor });
+        this.statusCache.invalidate(vipManager);
+        return result;
+    }
+
+    async revokeVip(url, playerId, actor) {
+        const vipManager = this.selectServer(url);
+        const id = this.validatePlayerId(playerId);
+
+        if (!await vipManager.findVip(id)) {
+            throw new ApiError(404, `Player ${id} is not a VIP`);
+        }
+        const result = await vipManager.revokeVip(id, { actor });
+        this.statusCache.invalidate(vipManager);
+        return result;
+    }
+
+    async listBackups(url) {
+        const backups = [];
+        for (const vipManager of this.selectServers(url)) {
+            (await vipManager.listBackups()).forEach(backup => backups.push({ server: vipManager.serverName, ...backup }));
+        }
+        return { count: backups.length, backups };
+    }
+
+    async findBackup(vipManager, name) {
+        // Only plain file names from the backup storage, never paths
+        if (path.basename(name) !== name) {
+            throw new ApiError(400, 'Invalid backup name');
+        }
+        const backups = await vipManager.listBackups();
+        if (!backups.some(backup => backup.name === name)) {
+            throw new ApiError(404, `Backup not found: ${name}`);
+        }
+        return name;
+    }
+
+    async downloadBackup(res, url, name) {
+        const vipManager = this.selectServer(url);
+        const file = await this.findBackup(vipManager, name);
+        // Compressed and encrypted backups are served as the plain text they hold
+        const content = Buffer.from((await vipManager.readBackupContent(file)).content);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${plainName(name)}"`,
+            'Content-Length': content.length
+        });
+        res.end(content);
+    }
+
+    async restoreBackup(url, name, body, actor) {
+        const vipManager = this.selectServer(url);
+        if (body.dryRun !== undefined && typeof body.dryRun !== 'boolean') {
+            throw new ApiError(400, 'Invalid request body', ['dryRun must be a boolean']);
+        }
+        const file = await this.findBackup(vipManager, name);
+        const result = await vipManager.restoreFromBackup(file, { dryRun: body.dryRun !== false, actor });
+        if (!result.dryRun) this.statusCache.invalidate(vipManager);
+        return result;
+    }
+}
+
+module.exports = VIPApi;
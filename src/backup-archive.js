@@ -0,0 +1,186 @@
+/**
+ * Backup archive - store VIP backups optionally gzipped and AES-256-GCM encrypted,
+ * each with a manifest (server, timestamp, entry count, SHA-256, source endpoint)
+ * that `verify` checks the file against
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { parseVipFile } = require('./vip-file');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const scrypt = promisify(crypto.scrypt);
+
+const MANIFEST_SUFFIX = '.manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Encrypted files: magic, scrypt salt, GCM IV and auth tag, then the ciphertext
+const MAGIC = Buffer.from('VSB1');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function manifestPath(filepath) {
+    return `${filepath}${MANIFEST_SUFFIX}`;
+}
+
+function isManifest(file) {
+    return file.endsWith(MANIFEST_SUFFIX);
+}
+
+// The name of a backup once decompressed and decrypted, e.g. vip_file_<ts>.txt for vip_file_<ts>.txt.gz.enc
+function plainName(file) {
+    return file.replace(/(\.gz|\.enc)+$/, '');
+}
+
+async function encrypt(data, passphrase) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const key = await scrypt(passphrase, salt, 32);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(MAGIC);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+async function decrypt(data, passphrase) {
+    if (data.length < MAGIC.length + SALT_BYTES + IV_BYTES + TAG_BYTES || !data.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('is not an encrypted VIP backup');
+    }
+    let offset = MAGIC.length;
+    const salt = data.subarray(offset, offset += SALT_BYTES);
+    const iv = data.subarray(offset, offset += IV_BYTES);
+    const tag = data.subarray(offset, offset += TAG_BYTES);
+
+    const key = await scrypt(passphrase, salt, 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(MAGIC);
+    decipher.setAuthTag(tag);
+    try {
+        return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()]);
+    } catch (error) {
+        // GCM cannot tell a wrong key from a modified file
+        throw new Error('cannot be decrypted - wrong BACKUP_ENCRYPTION_KEY, or the file was modified');
+    }
+}
+
+/**
+ * Prepare backup content for writing. Returns { data, extension, compression, encryption }
+ * where extension is appended to the .txt file name (".gz", ".enc" or ".gz.enc").
+ * @param {object} options - { compress, encryptionKey }
+ */
+async function encodeBackup(content, options = {}) {
+    let data = Buffer.from(content);
+    let extension = '';
+    if (options.compress) {
+        data = await gzip(data);
+        extension += '.gz';
+    }
+    if (options.encryptionKey) {
+        data = await encrypt(data, options.encryptionKey);
+        extension += '.enc';
+    }
+    return {
+        data,
+        extension,
+        compression: options.compress ? 'gzip' : null,
+        encryption: options.encryptionKey ? 'aes-256-gcm' : null
+    };
+}
+
+/**
+ * Turn stored backup bytes back into text, undoing the layers named by the file's extensions
+ */
+async function decodeBackup(data, file, encryptionKey) {
+    const name = path.basename(file);
+    const layers = (file.match(/(\.gz|\.enc)+$/) || [''])[0].split('.').filter(Boolean).reverse();
+    let result = data;
+    for (const layer of layers) {
+        if (layer === 'enc') {
+            if (!encryptionKey) {
+                throw new Error(`${name} is encrypted - set BACKUP_ENCRYPTION_KEY to read it`);
+            }
+            try {
+                result = await decrypt(result, encryptionKey);
+            } catch (error) {
+                throw new Error(`${name} ${error.message}`);
+            }
+        } else {
+            result = await gunzip(result).catch(error => {
+                throw new Error(`${name} is not valid gzip: ${error.message}`);
+            });
+        }
+    }
+    return result.toString('utf8');
+}
+
+function formatManifest(manifest) {
+    return JSON.stringify({ version: MANIFEST_VERSION, ...manifest }, null, 2);
+}
+
+function parseManifest(data, file) {
+    try {
+        return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw new Error(`Manifest for ${path.basename(file)} is not valid JSON`);
+    }
+}
+
+/**
+ * Check stored backup bytes against the backup's manifest (null if it has none). Returns
+ * { status, problems, notes, manifest } with status 'ok', 'failed', or 'unverified' for backups
+ * written before manifests existed. The stored bytes are always checked; the content
+ * (checksum and entry count) only when it can be decrypted.
+ */
+async function verifyBackup(data, manifest, file, encryptionKey) {
+    if (!manifest) {
+        return { status: 'unverified', problems: [], notes: ['no manifest'], manifest: null };
+    }
+
+    const problems = [];
+    const notes = [];
+    if (data.length !== manifest.size) {
+        problems.push(`size is ${data.length} bytes, manifest says ${manifest.size}`);
+    }
+    if (sha256(data) !== manifest.sha256) {
+        problems.push('SHA-256 does not match the manifest');
+    }
+
+    if (manifest.encryption && !encryptionKey) {
+        notes.push('content not checked (no BACKUP_ENCRYPTION_KEY)');
+    } else {
+        try {
+            const content = await decodeBackup(data, file, encryptionKey);
+            if (sha256(content) !== manifest.contentSha256) {
+                problems.push('content SHA-256 does not match the manifest');
+            }
+            const entryCount = parseVipFile(content).length;
+            if (entryCount !== manifest.entryCount) {
+                problems.push(`${entryCount} entries, manifest says ${manifest.entryCount}`);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+
+    return { status: problems.length > 0 ? 'failed' : 'ok', problems, notes, manifest };
+}
+
+module.exports = {
+    sha256,
+    manifestPath,
+    isManifest,
+    plainName,
+    encodeBackup,
+    decodeBackup,
+    formatManifest,
+    parseManifest,
+    verifyBackup
+};
@@ -0,0 +1,303 @@
+/**
+ * Backup storage - where VIP backups, manifests and analysis reports are kept:
+ * a local directory, an S3-compatible bucket, or both (mirror)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const STORAGE_TYPES = ['local', 's3', 'mirror'];
+
+function notFound(message) {
+    const error = new Error(message);
+    error.code = 'ENOENT';
+    return error;
+}
+
+class LocalBackupStorage {
+    constructor(dir) {
+        this.name = 'local';
+        this.dir = dir;
+    }
+
+    get backends() {
+        return [this];
+    }
+
+    location(file) {
+        return path.join(this.dir, file);
+    }
+
+    /**
+     * Files in the storage as [{ name, size, modified }]
+     */
+    async list() {
+        const files = await fs.readdir(this.dir).catch(() => []);
+        const entries = [];
+        for (const file of files) {
+            try {
+                const stats = await fs.stat(this.location(file));
+                if (!stats.isFile()) continue;
+                entries.push({ name: file, size: stats.size, modified: stats.mtime.toISOString() });
+            } catch (error) {
+                // Skip files we can't access
+                continue;
+            }
+        }
+        return entries;
+    }
+
+    async read(file) {
+        return fs.readFile(this.location(file));
+    }
+
+    async write(file, data) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(this.location(file), data);
+    }
+
+    async remove(file) {
+        await fs.unlink(this.location(file)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// RFC 3986 encoding, as Signature Version 4 expects
+function encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function xmlValues(xml, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    return [...xml.matchAll(pattern)].map(match => match[1]
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&'));
+}
+
+/**
+ * An S3 bucket, or any S3-compatible service (MinIO, Backblaze B2, Cloudflare R2...),
+ * with requests signed using AWS Signature Version 4
+ */
+class S3BackupStorage {
+    /**
+     * @param {object} options - { endpoint, region, bucket, prefix, accessKeyId, secretAccessKey, pathStyle, timeoutMs }
+     */
+    constructor(options) {
+        this.name = 's3';
+        this.region = options.region;
+        this.bucket = options.bucket;
+        this.prefix = options.prefix ? `${options.prefix.replace(/^\/+|\/+$/g, '')}/` : '';
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        this.pathStyle = options.pathStyle;
+        this.timeout = options.timeoutMs || 30000;
+
+        const endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+        this.protocol = endpoint.protocol;
+        this.host = this.pathStyle ? endpoint.host : `${this.bucket}.${endpoint.host}`;
+    }
+
+    get backends() {
+        return [this];
+    }
+
+    location(file) {
+        return `s3://${this.bucket}/${this.prefix}${file}`;
+    }
+
+    /**
+     * Sign and send a request for an object key ('' for the bucket itself).
+     * Returns the response body as a Buffer; throws for any non-2xx status.
+     */
+    async request(method, key, options = {}) {
+        const { query = {}, body = null, now = new Date() } = options;
+        const objectPath = `/${key.split('/').map(encode).join('/')}`;
+        const uri = this.pathStyle ? `/${encode(this.bucket)}${key ? objectPath : '/'}` : objectPath;
+        const queryString = Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const payloadHash = hash(body || '');
+        const headers = { host: this.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+        const signedHeaders = Object.keys(headers).join(';');
+        const canonicalRequest = [
+            method,
+            uri,
+            queryString,
+            Object.entries(headers).map(([name, value]) => `${name}:${value}\n`).join(''),
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region));
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+
+        const response = await axios({
+            method,
+            url: `${this.protocol}//${this.host}${uri}${queryString ? `?${queryString}` : ''}`,
+            headers: {
+                'x-amz-content-sha256': payloadHash,
+                'x-amz-date': amzDate,
+                Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            },
+            data: body || undefined,
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: () => true
+        });
+
+        const data = Buffer.from(response.data || '');
+        if (response.status >= 300) {
+            const [code] = xmlValues(data.toString('utf8'), 'Code');
+            const [message] = xmlValues(data.toString('utf8'), 'Message');
+            const description = `S3 ${method} s3://${this.bucket}/${key} failed: ${response.status}` +
+                (code ? ` ${code}` : '') + (message ? ` - ${message}` : '');
+            throw response.status === 404 ? notFound(description) : new Error(description);
+        }
+        return data;
+    }
+
+    async list() {
+        const entries = [];
+        let token = null;
+        do {
+            // The delimiter keeps other servers' backups (deeper prefixes) out of the listing
+            const query = { 'list-type': '2', prefix: this.prefix, delimiter: '/' };
+            if (token) query['continuation-token'] = token;
+            const xml = (await this.request('GET', '', { query })).toString('utf8');
+
+            xmlValues(xml, 'Contents').forEach(object => {
+                const [key] = xmlValues(object, 'Key');
+                const [size] = xmlValues(object, 'Size');
+                const [modified] = xmlValues(object, 'LastModified');
+                entries.push({ name: key.slice(this.prefix.length), size: Number(size), modified: new Date(modified).toISOString() });
+            });
+            token = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+        } while (token);
+        return entries;
+    }
+
+    async read(file) {
+        return this.request('GET', `${this.prefix}${file}`);
+    }
+
+    async write(file, data) {
+        await this.request('PUT', `${this.prefix}${file}`, { body: Buffer.from(data) });
+    }
+
+    async remove(file) {
+        await this.request('DELETE', `${this.prefix}${file}`).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+}
+
+/**
+ * Keep every file in several backends: reads come from the first backend that has the file,
+ * writes and removals go to all of them
+ */
+class MirrorBackupStorage {
+    /**
+     * @param {Array} backends - storages to keep in step, the first one read first
+     * @param {object} options - { warn(message) } called when some backends fail and others succeed
+     */
+    constructor(backends, options = {}) {
+        this.name = 'mirror';
+        this.backends = backends;
+        this.warn = options.warn || (() => {});
+    }
+
+    location(file) {
+        return this.backends.map(backend => backend.location(file)).join(', ');
+    }
+
+    // One entry per file, from the first backend listing it - a backend that cannot be listed is skipped
+    async list() {
+        const listings = await Promise.allSettled(this.backends.map(backend => backend.list()));
+        const failures = listings
+            .map((result, index) => (result.status === 'rejected' ? `${this.backends[index].name}: ${result.reason.message}` : null))
+            .filter(Boolean);
+        if (failures.length === this.backends.length) {
+            throw new Error(`Could not list backups in ${failures.join('; ')}`);
+        }
+        failures.forEach(failure => this.warn(`Could not list backups in ${failure}`));
+
+        const entries = new Map();
+        listings.filter(result => result.status === 'fulfilled').forEach(result => result.value.forEach(entry => {
+            if (!entries.has(entry.name)) entries.set(entry.name, entry);
+        }));
+        return [...entries.values()];
+    }
+
+    async read(file) {
+        let lastError;
+        for (const backend of this.backends) {
+            try {
+                return await backend.read(file);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Write to every backend. Succeeds when at least one backend has the file, returning the
+     * failures of the others (empty when all succeeded); throws only when every backend failed.
+     */
+    async write(file, data) {
+        return this.each(backend => backend.write(file, data), `write ${file}`);
+    }
+
+    async remove(file) {
+        return this.each(backend => backend.remove(file), `remove ${file}`);
+    }
+
+    async each(action, description) {
+        const results = await Promise.allSettled(this.backends.map(action));
+        const failures = results
+            .map((result, index) => (result.status === 'rejected' ? `${this.backends[index].name}: ${result.reason.message}` : null))
+            .filter(Boolean);
+        if (failures.length === this.backends.length) {
+            throw new Error(`Could not ${description} in ${failures.join('; ')}`);
+        }
+        failures.forEach(failure => this.warn(`Could not ${description} in ${failure}`));
+        return failures;
+    }
+}
+
+/**
+ * Build the storage for one server from the backup config section
+ * @param {object} backup - getConfig().backup
+ * @param {object} options - { dir, prefix, warn } - the local directory and the S3 key prefix for this server,
+ * and where mirror mode reports a backend that failed while the other succeeded
+ */
+function createBackupStorage(backup, options) {
+    const local = new LocalBackupStorage(options.dir);
+    if (backup.storage === 'local') return local;
+
+    const s3 = new S3BackupStorage({ ...backup.s3, prefix: options.prefix });
+    return backup.storage === 's3' ? s3 : new MirrorBackupStorage([local, s3], { warn: options.warn });
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    LocalBackupStorage,
+    S3BackupStorage,
+    MirrorBackupStorage,
+    createBackupStorage
+};
@@ -0,0 +1,67 @@
+/**
+ * Circuit breaker for one CRCON server - after repeated failures, requests fail fast
+ * until a cool-down has passed, then a single trial request decides whether to close again
+ */
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = (options.resetSeconds || 60) * 1000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    get retryAt() {
+        return this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs) : null;
+    }
+
+    /**
+     * Whether a request may go out now. Once the cool-down has passed, one trial is let through.
+     */
+    canRequest() {
+        if (this.state === 'closed') return true;
+
+        if (this.state === 'open' && Date.now() >= this.openedAt + this.resetTimeoutMs) {
+            this.state = 'half_open';
+        }
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Returns true when this failure opened the circuit
+     */
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            return true;
+        }
+        return false;
+    }
+
+    status() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAt: this.state === 'closed' ? null : this.retryAt.toISOString()
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
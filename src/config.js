@@ -0,0 +1,380 @@
+/**
+ * Configuration - defaults, an optional JSON/YAML file with named profiles, and
+ * environment variable overrides, validated against one schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const YAML = require('yaml');
+const { ConfigError } = require('./errors');
+const { validateChannel, validateRoutes } = require('./notifications');
+const { parseDuration } = require('./duration');
+const { STORAGE_TYPES } = require('./backup-storage');
+
+const DEFAULT_FILES = ['vip-sentinel.yml', 'vip-sentinel.yaml', 'vip-sentinel.json'];
+
+/**
+ * Every setting: its key in the config file, the environment variable that overrides it,
+ * its type and default. Secrets are masked by `config check`.
+ */
+const SCHEMA = [
+    { key: 'crcon.baseUrl', env: 'CRCON_BASE_URL', type: 'url', default: null },
+    { key: 'crcon.apiToken', env: 'CRCON_API_TOKEN', type: 'string', default: null, secret: true },
+    { key: 'crcon.serverName', env: 'CRCON_SERVER_NAME', type: 'name', default: null },
+    { key: 'crcon.servers', env: 'CRCON_SERVERS', type: 'servers', default: null },
+    { key: 'crcon.serversFile', env: 'CRCON_SERVERS_FILE', type: 'string', default: null },
+    { key: 'crcon.timeoutMs', env: 'CRCON_TIMEOUT_MS', type: 'integer', default: 15000, min: 1000 },
+    { key: 'crcon.retries', env: 'CRCON_RETRIES', type: 'integer', default: 3, min: 0, max: 10 },
+    { key: 'crcon.retryBaseMs', env: 'CRCON_RETRY_BASE_MS', type: 'integer', default: 1000, min: 1 },
+    { key: 'crcon.retryMaxMs', env: 'CRCON_RETRY_MAX_MS', type: 'integer', default: 30000, min: 1 },
+    { key: 'crcon.circuitThreshold', env: 'CRCON_CIRCUIT_THRESHOLD', type: 'integer', default: 5, min: 1 },
+    { key: 'crcon.circuitResetSeconds', env: 'CRCON_CIRCUIT_RESET_SECONDS', type: 'integer', default: 60, min: 1 },
+    { key: 'discord.webhookUrl', env: 'DISCORD_WEBHOOK_URL', type: 'url', default: null, secret: true },
+    { key: 'notifications.channels', env: 'NOTIFICATION_CHANNELS', type: 'channels', default: null },
+    { key: 'notifications.routes', env: 'NOTIFICATION_ROUTES', type: 'routes', default: null },
+    { key: 'notifications.retries', env: 'NOTIFICATION_RETRIES', type: 'integer', default: 2, min: 0, max: 5 },
+    { key: 'notifications.failureLog', env: 'NOTIFICATION_FAILURE_LOG', type: 'string', default: './data/notification-failures.jsonl' },
+    { key: 'backup.schedule', env: 'BACKUP_SCHEDULE', type: 'cron', default: '0 2 * * *' },
+    { key: 'backup.retentionDays', env: 'BACKUP_RETENTION_DAYS', type: 'integer', default: 30, min: 1 },
+    { key: 'backup.retentionWeeks', env: 'BACKUP_RETENTION_WEEKS', type: 'integer', default: 8, min: 0 },
+    { key: 'backup.retentionMonths', env: 'BACKUP_RETENTION_MONTHS', type: 'integer', default: 12, min: 0 },
+    { key: 'backup.reportRetentionDays', env: 'REPORT_RETENTION_DAYS', type: 'integer', default: 7, min: 1 },
+    { key: 'backup.reportRetentionWeeks', env: 'REPORT_RETENTION_WEEKS', type: 'integer', default: 4, min: 0 },
+    { key: 'backup.reportRetentionMonths', env: 'REPORT_RETENTION_MONTHS', type: 'integer', default: 0, min: 0 },
+    { key: 'backup.compress', env: 'BACKUP_COMPRESS', type: 'boolean', default: false },
+    { key: 'backup.encryptionKey', env: 'BACKUP_ENCRYPTION_KEY', type: 'string', default: null, secret: true },
+    { key: 'backup.storage', env: 'BACKUP_STORAGE', type: 'enum', default: 'local', values: STORAGE_TYPES },
+    { key: 'backup.s3.endpoint', env: 'S3_ENDPOINT', type: 'url', default: null },
+    { key: 'backup.s3.region', env: 'S3_REGION', type: 'string', default: 'us-east-1' },
+    { key: 'backup.s3.bucket', env: 'S3_BUCKET', type: 'string', default: null },
+    { key: 'backup.s3.prefix', env: 'S3_PREFIX', type: 'string', default: 'vip-sentinel' },
+    { key: 'backup.s3.accessKeyId', env: 'S3_ACCESS_KEY_ID', type: 'string', default: null, secret: true },
+    { key: 'backup.s3.secretAccessKey', env: 'S3_SECRET_ACCESS_KEY', type: 'string', default: null, secret: true },
+    { key: 'backup.s3.pathStyle', env: 'S3_PATH_STYLE', type: 'boolean', default: false },
+    { key: 'alerts.schedule', env: 'ALERT_SCHEDULE', type: 'cron', default: '0 9 * * *' },
+    { key: 'alerts.reminderHours', env: 'ALERT_REMINDER_HOURS', type: 'integer', default: 24, min: 0 },
+    { key: 'alerts.quietHours', env: 'ALERT_QUIET_HOURS', type: 'timeRange', default: null },
+    { key: 'alerts.stateFile', env: 'ALERT_STATE_FILE', type: 'string', default: './data/alert-state.json' },
+    { key: 'enforcement.enabled', env: 'ENFORCE_EXPIRED_VIPS', type: 'boolean', default: false },
+    { key: 'enforcement.schedule', env: 'ENFORCEMENT_SCHEDULE', type: 'cron', default: '0 3 * * *' },
+    { key: 'enforcement.graceDays', env: 'EXPIRED_GRACE_DAYS', type: 'integer', default: 3, min: 0 },
+    { key: 'enforcement.maxRemovals', env: 'ENFORCEMENT_MAX_REMOVALS', type: 'integer', default: 10, min: 1 },
+    { key: 'enforcement.dryRun', env: 'ENFORCEMENT_DRY_RUN', type: 'boolean', default: true },
+    { key: 'enforcement.protectedIds', env: 'PROTECTED_VIP_IDS', type: 'list', default: [] },
+    { key: 'sync.enabled', env: 'SYNC_ENABLED', type: 'boolean', default: false },
+    { key: 'sync.schedule', env: 'SYNC_SCHEDULE', type: 'cron', default: '30 2 * * *' },
+    { key: 'sync.source', env: 'SYNC_SOURCE', type: 'name', default: null },
+    { key: 'sync.rosterFile', env: 'SYNC_ROSTER_FILE', type: 'string', default: null },
+    { key: 'sync.targets', env: 'SYNC_TARGETS', type: 'list', default: [] },
+    { key: 'sync.removeExtras', env: 'SYNC_REMOVE_EXTRAS', type: 'boolean', default: false },
+    { key: 'sync.dryRun', env: 'SYNC_DRY_RUN', type: 'boolean', default: true },
+    { key: 'seeding.enabled', env: 'SEEDING_ENABLED', type: 'boolean', default: false },
+    { key: 'seeding.schedule', env: 'SEEDING_SCHEDULE', type: 'cron', default: '* * * * *' },
+    { key: 'seeding.threshold', env: 'SEEDING_THRESHOLD', type: 'integer', default: 40, min: 1 },
+    { key: 'seeding.targetMinutes', env: 'SEEDING_TARGET_MINUTES', type: 'integer', default: 60, min: 1 },
+    { key: 'seeding.reward', env: 'SEEDING_REWARD', type: 'duration', default: '24h' },
+    { key: 'seeding.message', env: 'SEEDING_MESSAGE', type: 'string', default: 'Thanks for helping seed the server! You earned {reward} of VIP (until {expiration}).' },
+    { key: 'seeding.servers', env: 'SEEDING_SERVERS', type: 'list', default: [] },
+    { key: 'seeding.file', env: 'SEEDING_FILE', type: 'string', default: './data/seeding.json' },
+    { key: 'history.file', env: 'VIP_DB_FILE', type: 'string', default: './data/vip-history.jsonl' },
+    { key: 'history.actor', env: 'VIP_ACTOR', type: 'string', default: null },
+    { key: 'timezone', env: 'TIMEZONE', type: 'timezone', default: 'UTC' },
+    { key: 'http.port', env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+    { key: 'http.statusRefreshSeconds', env: 'STATUS_REFRESH_SECONDS', type: 'integer', default: 60, min: 5 },
+    { key: 'api.keys', env: 'API_KEYS', type: 'list', default: [], secret: true },
+    { key: 'api.key', env: 'API_KEY', type: 'string', default: null, secret: true },
+    { key: 'api.corsOrigins', env: 'CORS_ORIGINS', type: 'list', default: [] },
+    { key: 'api.rateLimit', env: 'API_RATE_LIMIT', type: 'integer', default: 60, min: 1 },
+    { key: 'api.authFailureLimit', env: 'API_AUTH_FAILURE_LIMIT', type: 'integer', default: 10, min: 1 },
+    { key: 'api.trustedProxies', env: 'API_TRUSTED_PROXIES', type: 'integer', default: 0, min: 0 },
+    { key: 'logging.level', env: 'LOG_LEVEL', type: 'enum', default: 'info', values: ['debug', 'info', 'warning', 'warn', 'error'] },
+    { key: 'logging.format', env: 'LOG_FORMAT', type: 'enum', default: 'text', values: ['text', 'json'] },
+    { key: 'logging.file', env: 'LOG_FILE', type: 'string', default: null },
+    { key: 'logging.fileMaxMb', env: 'LOG_FILE_MAX_MB', type: 'integer', default: 10, min: 1 },
+    { key: 'logging.fileMaxFiles', env: 'LOG_FILE_MAX_FILES', type: 'integer', default: 5, min: 1 }
+];
+
+let selection = { file: null, profile: null };
+let cached = null;
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => {
+        if (!node[part]) node[part] = {};
+        return node[part];
+    }, object);
+    target[last] = value;
+}
+
+// Structured settings are JSON strings in the environment, plain values in the file
+function parseJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Convert a raw value (a string from the environment, or anything from the file)
+ * to the setting's type. Throws an Error describing what was expected.
+ */
+function coerce(setting, raw) {
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+
+    switch (setting.type) {
+        case 'string':
+            if (typeof text !== 'string') throw new Error('must be a string');
+            return text;
+        case 'name':
+            if (typeof text !== 'string' || !/^[\w-]+$/.test(text)) throw new Error('must be letters, numbers, "-" or "_"');
+            return text;
+        case 'url':
+            if (typeof text !== 'string' || !/^https?:\/\/\S+$/.test(text)) throw new Error('must be an http:// or https:// URL');
+            return text.replace(/\/+$/, '');
+        case 'integer': {
+            const value = typeof text === 'number' ? text : /^-?\d+$/.test(text) ? Number(text) : NaN;
+            const range = setting.max !== undefined ? `from ${setting.min} to ${setting.max}` : `of at least ${setting.min}`;
+            if (!Number.isInteger(value) || value < setting.min || (setting.max !== undefined && value > setting.max)) {
+                throw new Error(`must be a whole number ${range}`);
+            }
+            return value;
+        }
+        case 'boolean':
+            if (typeof text === 'boolean') return text;
+            if (/^(true|yes|1)$/i.test(text)) return true;
+            if (/^(false|no|0)$/i.test(text)) return false;
+            throw new Error('must be true or false');
+        case 'list':
+            if (Array.isArray(text)) return text.map(item => String(item).trim()).filter(Boolean);
+            if (typeof text !== 'string') throw new Error('must be a list or a comma-separated string');
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        case 'enum':
+            if (!setting.values.includes(String(text).toLowerCase())) throw new Error(`must be one of ${setting.values.join(', ')}`);
+            return String(text).toLowerCase();
+        case 'cron':
+            if (typeof text !== 'string' || !cron.validate(text)) throw new Error('must be a valid cron expression, e.g. "0 2 * * *"');
+            return text;
+        case 'timezone':
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: text });
+            } catch (error) {
+                throw new Error('must be an IANA timezone, e.g. "UTC" or "Europe/Berlin"');
+            }
+            return text;
+        case 'duration':
+            if (typeof text !== 'string' || parseDuration(text) === null) throw new Error('must be a duration such as 12h, 1d or 2w');
+            return text;
+        case 'timeRange':
+            if (typeof text !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/.test(text)) {
+                throw new Error('must be a time range in 24-hour HH:MM-HH:MM form, e.g. "22:00-07:00"');
+            }
+            return text;
+        case 'servers': {
+            const value = parseJson(text);
+            if (!Array.isArray(value) || value.length === 0) throw new Error('must be a non-empty list of server profiles');
+            return value;
+        }
+        case 'channels': {
+            const value = parseJson(text);
+            if (!Array.isArray(value)) throw new Error('must be a list of notification channels');
+            const problems = value.flatMap(validateChannel);
+            if (problems.length > 0) throw new Error(`is invalid: ${problems.join('; ')}`);
+            return value;
+        }
+        case 'routes': {
+            const value = parseJson(text);
+            if (!value || typeof value !== 'object' || Array.isArray(value) ||
+                !Object.values(value).every(targets => typeof targets === 'string' || Array.isArray(targets))) {
+                throw new Error('must map event patterns to channel names, e.g. { "backup.failure": ["ops-email"] }');
+            }
+            return value;
+        }
+        default:
+            throw new Error(`has unknown type ${setting.type}`);
+    }
+}
+
+function findConfigFile(env) {
+    if (selection.file) return selection.file;
+    if (env.CONFIG_FILE) return env.CONFIG_FILE;
+    return DEFAULT_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const data = /\.ya?ml$/i.test(file) ? YAML.parse(content) : JSON.parse(content);
+    if (data === null || data === undefined) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('must contain a mapping of settings');
+    }
+    return data;
+}
+
+// Report keys the schema doesn't know - usually a typo that would otherwise be silently ignored
+function findUnknownKeys(data, prefix = '') {
+    const unknown = [];
+    Object.entries(data).forEach(([name, value]) => {
+        const key = `${prefix}${name}`;
+        if (SCHEMA.some(setting => setting.key === key)) return;
+        if (value && typeof value === 'object' && !Array.isArray(value) && SCHEMA.some(setting => setting.key.startsWith(`${key}.`))) {
+            unknown.push(...findUnknownKeys(value, `${key}.`));
+            return;
+        }
+        unknown.push(key);
+    });
+    return unknown;
+}
+
+/**
+ * Build the effective configuration. Never throws - problems are collected in `errors`.
+ * @returns {{ config, sources, file, profile, errors }}
+ */
+function loadConfig(env = process.env) {
+    const errors = [];
+    const file = findConfigFile(env);
+    const profile = selection.profile || env.CONFIG_PROFILE || null;
+    const layers = [];
+
+    if (file) {
+        try {
+            const { profiles = {}, ...base } = readConfigFile(file);
+            layers.push({ source: 'file', data: base });
+            if (profile) {
+                if (!profiles[profile]) {
+                    const available = Object.keys(profiles);
+                    errors.push(`Profile "${profile}" is not defined in ${file}` +
+                        (available.length > 0 ? ` (available: ${available.join(', ')})` : ''));
+                } else {
+                    layers.push({ source: `profile ${profile}`, data: profiles[profile] });
+                }
+            }
+        } catch (error) {
+            errors.push(`Cannot read config file ${file}: ${error.message}`);
+        }
+    } else if (profile) {
+        errors.push(`Profile "${profile}" was selected but no config file was found`);
+    }
+
+    layers.forEach(layer => findUnknownKeys(layer.data).forEach(key =>
+        errors.push(`Unknown setting "${key}" in ${layer.source === 'file' ? file : layer.source}`)));
+
+    const config = {};
+    const sources = {};
+    SCHEMA.forEach(setting => {
+        let value = setting.default;
+        let source = 'default';
+
+        const candidates = layers.map(layer => ({ source: layer.source, raw: getPath(layer.data, setting.key) }));
+        // Empty environment variables (as in .env.example) count as unset
+        if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            candidates.push({ source: `env ${setting.env}`, raw: env[setting.env] });
+        }
+
+        candidates.filter(candidate => candidate.raw !== undefined && candidate.raw !== null).forEach(candidate => {
+            try {
+                value = coerce(setting, candidate.raw);
+                source = candidate.source;
+            } catch (error) {
+                const shown = setting.secret ? '' : `, got ${JSON.stringify(candidate.raw)}`;
+                errors.push(`${setting.key} (${setting.env}) ${error.message}${shown} [${candidate.source}]`);
+            }
+        });
+
+        setPath(config, setting.key, value);
+        sources[setting.key] = source;
+    });
+
+    if (config.backup.encryptionKey !== null && config.backup.encryptionKey.length < 16) {
+        errors.push('backup.encryptionKey (BACKUP_ENCRYPTION_KEY) must be at least 16 characters');
+    }
+
+    if (config.backup.storage !== 'local') {
+        SCHEMA.filter(setting => ['backup.s3.bucket', 'backup.s3.accessKeyId', 'backup.s3.secretAccessKey'].includes(setting.key))
+            .filter(setting => !getPath(config, setting.key))
+            .forEach(setting => errors.push(`${setting.key} (${setting.env}) is required for ${config.backup.storage} backup storage`));
+    }
+
+    if (config.notifications.routes) {
+        const channels = config.notifications.channels || (config.discord.webhookUrl ? [{ name: 'discord' }] : []);
+        errors.push(...validateRoutes(config.notifications.routes, channels.map(channel => channel.name)));
+    }
+
+    return { config, sources, file, profile, errors };
+}
+
+/**
+ * The validated configuration, loaded once. Throws a ConfigError listing every problem.
+ */
+function getConfig() {
+    if (!cached) {
+        const result = loadConfig();
+        if (result.errors.length > 0) {
+            throw new ConfigError(result.errors);
+        }
+        cached = result.config;
+    }
+    return cached;
+}
+
+/**
+ * Take --config <file> and --profile <name> out of CLI arguments and use them for loading
+ */
+function applyConfigArgs(args) {
+    const rest = [];
+    for (let index = 0; index < args.length; index++) {
+        if (args[index] === '--config' || args[index] === '--profile') {
+            selection = { ...selection, [args[index].slice(2) === 'config' ? 'file' : 'profile']: args[index + 1] || null };
+            index++;
+        } else {
+            rest.push(args[index]);
+        }
+    }
+    cached = null;
+    return rest;
+}
+
+function mask(value) {
+    if (value === null || value === undefined || value === '') return value;
+    const text = String(value);
+    return text.length > 12 ? `****${text.slice(-4)}` : '****';
+}
+
+/**
+ * Flattened settings for display, with secrets (including server tokens) masked
+ */
+function describeConfig(result) {
+    return SCHEMA.map(setting => {
+        let value = getPath(result.config, setting.key);
+        if (setting.secret) {
+            value = Array.isArray(value) ? value.map(entry => entry.replace(/^([^:]*):([^:]*)/, (match, name, key) => `${name}:${mask(key)}`)) : mask(value);
+        } else if (setting.type === 'servers' && value) {
+            value = value.map(profile => ({ ...profile, token: mask(profile.token), apiToken: mask(profile.apiToken) }));
+        } else if (setting.type === 'channels' && value) {
+            // Webhook URLs and SMTP credentials are secrets
+            value = value.map(channel => ({
+                ...channel,
+                url: mask(channel.url),
+                smtp: typeof channel.smtp === 'string' ? mask(channel.smtp)
+                    : channel.smtp && { ...channel.smtp, auth: channel.smtp.auth && { ...channel.smtp.auth, pass: mask(channel.smtp.auth.pass) } },
+                headers: channel.headers && Object.fromEntries(Object.keys(channel.headers).map(name => [name, mask(channel.headers[name])]))
+            }));
+        }
+        return { key: setting.key, env: setting.env, value, source: result.sources[setting.key] };
+    });
+}
+
+module.exports = {
+    SCHEMA,
+    loadConfig,
+    getConfig,
+    applyConfigArgs,
+    describeConfig
+};
@@ -0,0 +1,375 @@
+/**
+ * Web dashboard served at / - a single page that reads /status, /vips and /backups
+ * with the moderator's API key
+ */
+
+function renderDashboard(info) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>VIP Manager</title>
+    <style>
+        * { box-sizing: border-box; }
+        body { font-family: Arial, sans-serif; margin: 0; background: #f5f5f5; color: #333; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; }
+        .header h1 { margin: 0; }
+        .card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); margin: 20px 0; }
+        .hidden { display: none; }
+        .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 10px; }
+        .stat { background: #f0f6fa; padding: 12px; border-radius: 5px; text-align: center; }
+        .stat strong { display: block; font-size: 1.6em; }
+        .toolbar { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+        .toolbar input[type=search] { flex: 1; min-width: 200px; }
+        input, select, button { padding: 8px 10px; border: 1px solid #ccc; border-radius: 5px; font-size: 1em; }
+        button { background: #007cba; color: white; border: none; cursor: pointer; }
+        button:hover { background: #005a87; }
+        button.filter { background: #e0e0e0; color: #333; }
+        button.filter.active { background: #007cba; color: white; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; }
+        th { cursor: pointer; user-select: none; background: #fafafa; }
+        th.sorted-asc::after { content: ' ▲'; }
+        th.sorted-desc::after { content: ' ▼'; }
+        td.id { font-family: monospace; font-size: 0.9em; }
+        .badge { padding: 2px 8px; border-radius: 10px; font-size: 0.85em; white-space: nowrap; }
+        .badge.permanent { background: #e3e8ff; }
+        .badge.active { background: #e8f5e8; }
+        .badge.expiringSoon, .badge.expiringToday { background: #fff4d6; }
+        .badge.expired { background: #fde2e2; }
+        .timeline { display: flex; gap: 10px; overflow-x: auto; padding-bottom: 5px; }
+        .day { min-width: 160px; background: #fafafa; border-radius: 5px; padding: 10px; border-top: 4px solid #f0ad4e; }
+        .day h3 { margin: 0 0 6px; font-size: 1em; }
+        .day ul { margin: 0; padding-left: 18px; font-size: 0.9em; }
+        .error { color: #b00020; }
+        .muted { color: #666; font-size: 0.9em; }
+        .footer { text-align: center; color: #666; margin-top: 30px; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div>
+                <h1>🎖️ VIP Manager</h1>
+                <span class="muted">Service: ${info.running ? '🟢 Running' : '🔴 Stopped'} • Environment: ${info.environment}</span>
+            </div>
+            <div id="session" class="hidden">
+                <select id="server"></select>
+                <button id="reload">Refresh</button>
+                <button id="logout" class="filter">Sign out</button>
+            </div>
+        </div>
+
+        <div id="login" class="card">
+            <h2>Sign in</h2>
+            <p>Enter an API key with the <strong>read</strong> role. It is kept in this browser tab only.</p>
+            <form id="login-form" class="toolbar">
+                <input id="api-key" type="password" placeholder="API key" autocomplete="off" required>
+                <button type="submit">Open dashboard</button>
+            </form>
+            <p id="login-error" class="error"></p>
+        </div>
+
+        <div id="dashboard" class="hidden">
+            <div class="card">
+                <div class="stats" id="stats"></div>
+                <p class="muted" id="snapshot"></p>
+            </div>
+
+            <div class="card">
+                <h2>📅 Upcoming Expirations (30 days)</h2>
+                <div class="timeline" id="timeline"></div>
+            </div>
+
+            <div class="card">
+                <h2>👥 VIPs</h2>
+                <div class="toolbar">
+                    <input id="search" type="search" placeholder="Search name, ID or description">
+                    <button class="filter active" data-filter="all">All</button>
+                    <button class="filter" data-filter="expired">Expired</button>
+                    <button class="filter" data-filter="expiring">Expiring soon</button>
+                    <button class="filter" data-filter="permanent">Permanent</button>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th data-sort="name">Name</th>
+                            <th data-sort="player_id">Player ID</th>
+                            <th data-sort="server" class="server-column">Server</th>
+                            <th data-sort="platform">Platform</th>
+                            <th data-sort="expiration">Expiration</th>
+                            <th data-sort="status">Status</th>
+                            <th data-sort="description">Description</th>
+                        </tr>
+                    </thead>
+                    <tbody id="vips"></tbody>
+                </table>
+                <p class="muted" id="vip-count"></p>
+            </div>
+
+            <div class="card">
+                <h2>💾 Recent Backups</h2>
+                <table>
+                    <thead><tr><th>File</th><th class="server-column">Server</th><th>Type</th><th>Size</th><th>Modified</th></tr></thead>
+                    <tbody id="backups"></tbody>
+                </table>
+            </div>
+
+            <p id="error" class="error"></p>
+        </div>
+
+        <div class="footer">
+            <p>VIP Manager v${info.version}</p>
+            <p>Automated VIP management for Hell Let Loose servers</p>
+        </div>
+    </div>
+
+    <script>
+    (function () {
+        var STATUS_LABELS = {
+            permanent: 'Permanent', active: 'Active', expiringSoon: 'Expiring soon',
+            expiringToday: 'Expires today', expired: 'Expired'
+        };
+        var state = { vips: [], filter: 'all', search: '', sort: 'expiration', direction: 1, servers: [] };
+
+        function $(id) { return document.getElementById(id); }
+
+        function escapeHtml(value) {
+            return String(value === null || value === undefined ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        }
+
+        function formatDate(value) {
+            return value ? new Date(value).toLocaleString() : 'Never';
+        }
+
+        function formatSize(bytes) {
+            return bytes < 1024 ? bytes + ' B' : (bytes / 1024).toFixed(1) + ' KB';
+        }
+
+        function apiKey() { return sessionStorage.getItem('vipApiKey'); }
+
+        function serverQuery(prefix) {
+            var server = $('server').value;
+            return server && server !== 'all' ? prefix + 'server=' + encodeURIComponent(server) : '';
+        }
+
+        function request(path) {
+            return fetch(path, { headers: { Authorization: 'Bearer ' + apiKey() } }).then(function (response) {
+                if (response.status === 401 || response.status === 403) {
+                    signOut('That API key was not accepted.');
+                    throw new Error('Unauthorized');
+                }
+                if (!response.ok) {
+                    return response.json().catch(function () { return {}; }).then(function (body) {
+                        throw new Error(body.error || ('Request failed with status ' + response.status));
+                    });
+                }
+                return response;
+            });
+        }
+
+        function requestJson(path) {
+            return request(path).then(function (response) { return response.json(); });
+        }
+
+        function signOut(message) {
+            sessionStorage.removeItem('vipApiKey');
+            $('dashboard').classList.add('hidden');
+            $('session').classList.add('hidden');
+            $('login').classList.remove('hidden');
+            $('login-error').textContent = message || '';
+        }
+
+        function renderStats(status) {
+            var vips = status.vips;
+            var cards = [
+                ['Total VIPs', vips.total], ['Permanent', vips.permanent], ['Temporary', vips.temporary],
+                ['Expiring soon', vips.expiringSoon + vips.expiringToday], ['Expired', vips.expired],
+                ['Steam / Non-Steam', vips.platforms.steam + ' / ' + vips.platforms.nonSteam]
+            ];
+            status.servers.forEach(function (server) {
+                cards.push([server.name === 'default' ? 'CRCON' : server.name,
+                    (server.connected ? '🟢 ' : '🔴 ') + escapeHtml(server.players)]);
+            });
+            $('stats').innerHTML = cards.map(function (card) {
+                return '<div class="stat"><strong>' + card[1] + '</strong>' + escapeHtml(card[0]) + '</div>';
+            }).join('');
+
+            $('snapshot').textContent = status.servers.map(function (server) {
+                var snapshot = server.snapshot;
+                return (status.servers.length > 1 ? server.name + ': ' : '') + 'data from ' +
+                    formatDate(snapshot.vipsFetchedAt) + (snapshot.stale ? ' (stale' + (snapshot.error ? ' - ' + snapshot.error : '') + ')' : '');
+            }).join(' • ');
+        }
+
+        function renderServers(status) {
+            var current = $('server').value;
+            state.servers = status.servers.map(function (server) { return server.name; });
+            var multiple = state.servers.length > 1;
+            $('server').classList.toggle('hidden', !multiple);
+            Array.prototype.forEach.call(document.querySelectorAll('.server-column'), function (cell) {
+                cell.classList.toggle('hidden', !multiple);
+            });
+            if (multiple && $('server').options.length === 0) {
+                $('server').innerHTML = '<option value="all">All servers</option>' + state.servers.map(function (name) {
+                    return '<option value="' + escapeHtml(name) + '">' + escapeHtml(name) + '</option>';
+                }).join('');
+                $('server').value = current || 'all';
+            }
+        }
+
+        function matchesFilter(vip) {
+            if (state.filter === 'expired') return vip.status === 'expired';
+            if (state.filter === 'expiring') return vip.status === 'expiringSoon' || vip.status === 'expiringToday';
+            if (state.filter === 'permanent') return vip.status === 'permanent';
+            return true;
+        }
+
+        function sortValue(vip, key) {
+            if (key === 'expiration') return vip.expiration ? new Date(vip.expiration).getTime() : Infinity;
+            return String(vip[key] || '').toLowerCase();
+        }
+
+        function renderVips() {
+            var search = state.search.toLowerCase();
+            var rows = state.vips.filter(matchesFilter).filter(function (vip) {
+                return !search || (vip.player_id + ' ' + vip.name + ' ' + (vip.description || '')).toLowerCase().indexOf(search) !== -1;
+            }).sort(function (a, b) {
+                var left = sortValue(a, state.sort);
+                var right = sortValue(b, state.sort);
+                return left < right ? -state.direction : left > right ? state.direction : 0;
+            });
+
+            var multiple = state.servers.length > 1;
+            $('vips').innerHTML = rows.map(function (vip) {
+                return '<tr><td>' + escapeHtml(vip.name) + '</td>' +
+                    '<td class="id">' + escapeHtml(vip.player_id) + '</td>' +
+                    (multiple ? '<td>' + escapeHtml(vip.server) + '</td>' : '') +
+                    '<td>' + escapeHtml(vip.platform) + '</td>' +
+                    '<td>' + escapeHtml(vip.expiration ? formatDate(vip.expiration) : 'Never') + '</td>' +
+                    '<td><span class="badge ' + escapeHtml(vip.status) + '">' + escapeHtml(STATUS_LABELS[vip.status] || vip.status) + '</span></td>' +
+                    '<td>' + escapeHtml(vip.description) + '</td></tr>';
+            }).join('');
+            $('vip-count').textContent = 'Showing ' + rows.length + ' of ' + state.vips.length + ' VIPs';
+
+            Array.prototype.forEach.call(document.querySelectorAll('th[data-sort]'), function (header) {
+                header.classList.toggle('sorted-asc', header.dataset.sort === state.sort && state.direction === 1);
+                header.classList.toggle('sorted-desc', header.dataset.sort === state.sort && state.direction === -1);
+            });
+        }
+
+        function renderTimeline(timeline) {
+            if (timeline.dates.length === 0) {
+                $('timeline').innerHTML = '<p class="muted">No VIPs expire in the next ' + timeline.days + ' days.</p>';
+                return;
+            }
+            $('timeline').innerHTML = timeline.dates.map(function (day) {
+                return '<div class="day"><h3>' + escapeHtml(new Date(day.date + 'T00:00:00Z').toLocaleDateString(undefined, { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' })) +
+                    ' (' + day.count + ')</h3><ul>' + day.vips.map(function (vip) {
+                        return '<li>' + escapeHtml(vip.name) + '</li>';
+                    }).join('') + '</ul></div>';
+            }).join('');
+        }
+
+        function renderBackups(result) {
+            var multiple = state.servers.length > 1;
+            var backups = result.backups.slice(0, 20);
+            if (backups.length === 0) {
+                $('backups').innerHTML = '<tr><td colspan="5" class="muted">No backups yet</td></tr>';
+                return;
+            }
+            $('backups').innerHTML = backups.map(function (backup) {
+                return '<tr><td><a href="#" data-backup="' + escapeHtml(backup.name) + '" data-server="' + escapeHtml(backup.server) + '">' +
+                    escapeHtml(backup.name) + '</a></td>' +
+                    (multiple ? '<td>' + escapeHtml(backup.server) + '</td>' : '') +
+                    '<td>' + escapeHtml(backup.type) + '</td><td>' + formatSize(backup.size) + '</td>' +
+                    '<td>' + escapeHtml(formatDate(backup.modified)) + '</td></tr>';
+            }).join('');
+        }
+
+        function downloadBackup(name, server) {
+            var query = state.servers.length > 1 ? '?server=' + encodeURIComponent(server) : '';
+            request('/backups/' + encodeURIComponent(name) + query).then(function (response) {
+                return response.blob();
+            }).then(function (blob) {
+                var link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = name.replace(/(\\.gz|\\.enc)+$/, '');
+                link.click();
+                URL.revokeObjectURL(link.href);
+            }).catch(function (error) { $('error').textContent = error.message; });
+        }
+
+        function load(refresh) {
+            var extra = refresh ? 'refresh=true' : '';
+            $('error').textContent = '';
+            requestJson('/status?' + extra + serverQuery(extra ? '&' : '')).then(function (status) {
+                $('login').classList.add('hidden');
+                $('dashboard').classList.remove('hidden');
+                $('session').classList.remove('hidden');
+                renderServers(status);
+                renderStats(status);
+                return Promise.all([
+                    requestJson('/vips' + serverQuery('?')),
+                    requestJson('/vips/timeline?days=30' + serverQuery('&')),
+                    requestJson('/backups' + serverQuery('?'))
+                ]);
+            }).then(function (results) {
+                state.vips = results[0].vips;
+                renderVips();
+                renderTimeline(results[1]);
+                renderBackups(results[2]);
+            }).catch(function (error) {
+                if (error.message !== 'Unauthorized') $('error').textContent = error.message;
+            });
+        }
+
+        $('login-form').addEventListener('submit', function (event) {
+            event.preventDefault();
+            sessionStorage.setItem('vipApiKey', $('api-key').value.trim());
+            $('api-key').value = '';
+            $('login-error').textContent = '';
+            load(false);
+        });
+        $('logout').addEventListener('click', function () { signOut(); });
+        $('reload').addEventListener('click', function () { load(true); });
+        $('server').addEventListener('change', function () { load(false); });
+        $('search').addEventListener('input', function (event) {
+            state.search = event.target.value;
+            renderVips();
+        });
+        Array.prototype.forEach.call(document.querySelectorAll('button[data-filter]'), function (button) {
+            button.addEventListener('click', function () {
+                state.filter = button.dataset.filter;
+                Array.prototype.forEach.call(document.querySelectorAll('button[data-filter]'), function (other) {
+                    other.classList.toggle('active', other === button);
+                });
+                renderVips();
+            });
+        });
+        Array.prototype.forEach.call(document.querySelectorAll('th[data-sort]'), function (header) {
+            header.addEventListener('click', function () {
+                state.direction = state.sort === header.dataset.sort ? -state.direction : 1;
+                state.sort = header.dataset.sort;
+                renderVips();
+            });
+        });
+        $('backups').addEventListener('click', function (event) {
+            var link = event.target.closest('a[data-backup]');
+            if (!link) return;
+            event.preventDefault();
+            downloadBackup(link.dataset.backup, link.dataset.server);
+        });
+
+        if (apiKey()) load(false);
+    })();
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = { renderDashboard };
@@ -0,0 +1,55 @@
+/**
+ * Duration helpers for VIP grants - "30d", "12h", "2w", "1mo", dates or "permanent"
+ */
+
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    mo: 30 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000
+};
+
+const PERMANENT = ['permanent', 'never', 'forever'];
+
+/**
+ * Parse a duration such as "30d" or "1mo" into milliseconds, or null if it is not a duration
+ */
+function parseDuration(value) {
+    const match = String(value).trim().toLowerCase().match(/^(\d+)\s*(mo|m|h|d|w|y)$/);
+    if (!match) return null;
+    return parseInt(match[1], 10) * UNIT_MS[match[2]];
+}
+
+function isPermanent(value) {
+    return PERMANENT.includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Turn a duration or date into an ISO expiration, counting durations from `from`.
+ * Returns null for a permanent grant.
+ */
+function resolveExpiration(value, from = new Date()) {
+    if (isPermanent(value)) return null;
+
+    const duration = parseDuration(value);
+    if (duration !== null) {
+        return new Date(from.getTime() + duration).toISOString();
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(String(value))) {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) {
+            return date.toISOString();
+        }
+    }
+
+    throw new Error(`Invalid duration or date: "${value}" (use e.g. 12h, 30d, 2w, 1mo, 2025-12-31 or permanent)`);
+}
+
+module.exports = {
+    parseDuration,
+    isPermanent,
+    resolveExpiration
+};
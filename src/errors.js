@@ -0,0 +1,44 @@
+/**
+ * Error types shared across modules
+ */
+
+class ApiError extends Error {
+    constructor(statusCode, message, details = undefined) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * A failed CRCON request. `kind` is one of auth, permission, timeout or server;
+ * only timeout and server errors are worth retrying.
+ */
+class CrconError extends Error {
+    constructor(kind, message, options = {}) {
+        super(message);
+        this.name = 'CrconError';
+        this.kind = kind;
+        this.statusCode = options.statusCode || null;
+        this.retryable = options.retryable !== undefined ? options.retryable : (kind === 'timeout' || kind === 'server');
+        this.retryAfterMs = options.retryAfterMs || null;
+    }
+}
+
+/**
+ * Invalid settings, collected so startup can report every problem at once
+ */
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+module.exports = {
+    ApiError,
+    CrconError,
+    ConfigError
+};
@@ -6,46 +6,74 @@
 require('dotenv').config();
 const http = require('http');
 const VIPService = require('./vip-service');
+const VIPStore = require('./vip-store');
+const VIPApi = require('./api');
+const AccessControl = require('./access-control');
+const StatusCache = require('./status-cache');
+const { metrics } = require('./metrics');
+const { renderDashboard } = require('./dashboard');
+const { Logger } = require('./logger');
+const { getConfig, applyConfigArgs } = require('./config');
+const { loadServerProfiles, validateServerProfiles, selectServers } = require('./servers');
 
 class VIPManagerApp {
     constructor() {
-        this.port = process.env.PORT || 3000;
+        this.port = getConfig().http.port;
+        this.logger = new Logger('app', { label: 'APP', infoIcon: '🚀' });
         this.vipService = new VIPService();
+        this.accessControl = new AccessControl({ log: (message, level) => this.log(message, level) });
+        this.statusCache = new StatusCache(this.vipService.vipManagers);
+        this.api = new VIPApi(this.vipService, this.accessControl, this.statusCache);
         this.server = null;
         this.isShuttingDown = false;
     }
 
-    log(message, level = 'info') {
-        const timestamp = new Date().toISOString();
-        const prefix = {
-            info: '🚀',
-            success: '✅',
-            error: '❌',
-            warning: '⚠️'
-        }[level] || 'ℹ️';
-        
-        console.log(`${timestamp} ${prefix} [APP] ${message}`);
+    log(message, level = 'info', fields = {}) {
+        this.logger.log(message, level, fields);
     }
 
     createHealthServer() {
         this.server = http.createServer(async (req, res) => {
-            // Enable CORS
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            // CORS for configured origins only
+            this.accessControl.applyCors(req, res);
 
             if (req.method === 'OPTIONS') {
-                res.writeHead(200);
+                res.writeHead(204);
                 res.end();
                 return;
             }
 
             // Route handling
-            if (req.url === '/health') {
-                await this.handleHealthCheck(req, res);
-            } else if (req.url === '/status') {
-                await this.handleStatus(req, res);
-            } else if (req.url === '/') {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+            if (await this.api.handle(req, res, url)) {
+                return;
+            }
+
+            let vipManagers;
+            try {
+                vipManagers = selectServers(this.vipService.vipManagers, url.searchParams.get('server'));
+            } catch (error) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+                return;
+            }
+
+            // /health stays public for Railway's probe
+            if (url.pathname === '/health') {
+                await this.handleHealthCheck(req, res, vipManagers, url);
+            } else if (url.pathname === '/status') {
+                if (this.authorize(req, res, 'read')) {
+                    await this.handleStatus(req, res, vipManagers, url);
+                }
+            } else if (url.pathname === '/metrics') {
+                if (this.authorize(req, res, 'read')) {
+                    await this.handleMetrics(req, res);
+                }
+            } else if (url.pathname.startsWith('/history/')) {
+                if (this.authorize(req, res, 'read')) {
+                    await this.handleHistory(req, res, url.pathname.slice('/history/'.length));
+                }
+            } else if (url.pathname === '/') {
                 await this.handleRoot(req, res);
             } else {
                 res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -58,27 +86,63 @@ class VIPManagerApp {
         });
     }
 
-    async handleHealthCheck(req, res) {
+    authorize(req, res, scope) {
+        try {
+            this.accessControl.authorize(req, res, scope);
+            return true;
+        } catch (error) {
+            res.writeHead(error.statusCode, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message, timestamp: new Date().toISOString() }));
+            return false;
+        }
+    }
+
+    crconStatus(vipManager, connectionTest) {
+        return {
+            name: vipManager.serverName,
+            connected: connectionTest.connected,
+            server: connectionTest.serverName || 'Unknown',
+            players: connectionTest.connected ? 
+                `${connectionTest.playerCount}/${connectionTest.maxPlayers}` : 'N/A',
+            circuit: vipManager.circuit.status()
+        };
+    }
+
+    async handleHealthCheck(req, res, vipManagers, url) {
         try {
-            // Test CRCON connection
-            const connectionTest = await this.vipService.vipManager.testConnection();
-            
+            // Served from the background snapshot unless ?refresh=true
+            const refresh = url.searchParams.get('refresh') === 'true';
+            const servers = await Promise.all(vipManagers.map(async vipManager => {
+                const snapshot = await this.statusCache.get(vipManager, { refresh });
+                return { ...this.crconStatus(vipManager, snapshot.connection), snapshot: this.statusCache.metadata(snapshot) };
+            }));
+            const connectedCount = servers.filter(server => server.connected).length;
+
+            // An open circuit means CRCON is down and we are backing off - the app itself is fine
+            const circuitOpen = servers.some(server => server.circuit.state !== 'closed');
+            let status = 'healthy';
+            if (connectedCount === 0 && !circuitOpen) {
+                status = 'unhealthy';
+            } else if (connectedCount < servers.length || circuitOpen) {
+                status = 'degraded';
+            }
+
             const health = {
-                status: connectionTest.connected ? 'healthy' : 'unhealthy',
+                status,
                 timestamp: new Date().toISOString(),
                 service: {
                     running: this.vipService.isRunning,
                     uptime: process.uptime()
                 },
-                crcon: {
-                    connected: connectionTest.connected,
-                    server: connectionTest.serverName || 'Unknown',
-                    players: connectionTest.connected ? 
-                        `${connectionTest.playerCount}/${connectionTest.maxPlayers}` : 'N/A'
-                }
+                servers
             };
+            if (servers.length === 1) {
+                const { snapshot, ...crcon } = servers[0];
+                health.crcon = crcon;
+            }
 
-            const statusCode = connectionTest.connected ? 200 : 503;
+            // Stay up while at least one server is reachable or backing off
+            const statusCode = status === 'unhealthy' ? 503 : 200;
             res.writeHead(statusCode, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify(health, null, 2));
         } catch (error) {
@@ -91,26 +155,26 @@ class VIPManagerApp {
         }
     }
 
-    async handleStatus(req, res) {
+    async handleStatus(req, res, vipManagers, url) {
         try {
-            const connectionTest = await this.vipService.vipManager.testConnection();
-            const analysis = await this.vipService.vipManager.analyzeVips();
+            const servers = [];
+            const totals = {
+                total: 0,
+                permanent: 0,
+                temporary: 0,
+                expired: 0,
+                expiringToday: 0,
+                expiringSoon: 0,
+                platforms: { steam: 0, nonSteam: 0, unknown: 0 }
+            };
 
-            const status = {
-                service: {
-                    running: this.vipService.isRunning,
-                    uptime: process.uptime(),
-                    version: require('../package.json').version,
-                    nodeVersion: process.version,
-                    environment: process.env.NODE_ENV || 'development'
-                },
-                crcon: {
-                    connected: connectionTest.connected,
-                    server: connectionTest.serverName || 'Unknown',
-                    players: connectionTest.connected ? 
-                        `${connectionTest.playerCount}/${connectionTest.maxPlayers}` : 'N/A'
-                },
-                vips: {
+            // Served from the background snapshot unless ?refresh=true - no report files or alerts
+            const refresh = url.searchParams.get('refresh') === 'true';
+            for (const vipManager of vipManagers) {
+                const snapshot = await this.statusCache.get(vipManager, { refresh });
+                const analysis = snapshot.analysis;
+
+                const vips = analysis ? {
                     total: analysis.total,
                     permanent: analysis.permanent,
                     temporary: analysis.temporary,
@@ -118,14 +182,47 @@ class VIPManagerApp {
                     expiringToday: analysis.expiringToday,
                     expiringSoon: analysis.expiringSoon,
                     platforms: analysis.platforms
+                } : null;
+                if (vips) {
+                    Object.keys(totals).forEach(key => {
+                        if (key === 'platforms') {
+                            Object.keys(totals.platforms).forEach(platform => {
+                                totals.platforms[platform] += vips.platforms[platform] || 0;
+                            });
+                        } else {
+                            totals[key] += vips[key];
+                        }
+                    });
+                }
+
+                servers.push({
+                    ...this.crconStatus(vipManager, snapshot.connection),
+                    vips,
+                    snapshot: this.statusCache.metadata(snapshot)
+                });
+            }
+
+            const status = {
+                service: {
+                    running: this.vipService.isRunning,
+                    uptime: process.uptime(),
+                    version: require('../package.json').version,
+                    nodeVersion: process.version,
+                    environment: process.env.NODE_ENV || 'development'
                 },
+                servers,
+                vips: totals,
                 schedule: {
                     backup: this.vipService.backupSchedule,
                     alerts: this.vipService.alertSchedule,
-                    retention: `${this.vipService.retentionDays} days`
+                    retention: this.vipService.retention
                 },
                 timestamp: new Date().toISOString()
             };
+            if (servers.length === 1) {
+                const { vips, snapshot, ...crcon } = servers[0];
+                status.crcon = crcon;
+            }
 
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify(status, null, 2));
@@ -138,51 +235,93 @@ class VIPManagerApp {
         }
     }
 
+    /**
+     * Update the point-in-time gauges from the cached snapshots, then render every metric.
+     * Scrapes never reach CRCON.
+     */
+    async collectMetrics() {
+        const categories = {
+            total: 'total',
+            permanent: 'permanent',
+            temporary: 'temporary',
+            expired: 'expired',
+            expiring_today: 'expiringToday',
+            expiring_soon: 'expiringSoon'
+        };
+
+        for (const vipManager of this.vipService.vipManagers) {
+            const server = vipManager.serverName;
+            const snapshot = this.statusCache.snapshots.get(server);
+
+            metrics.crconCircuitOpen.set({ server }, vipManager.circuit.state === 'closed' ? 0 : 1);
+            if (snapshot) {
+                metrics.crconUp.set({ server }, snapshot.connection.connected ? 1 : 0);
+                metrics.snapshotAge.set({ server }, this.statusCache.metadata(snapshot).ageSeconds);
+                if (snapshot.analysis) {
+                    Object.entries(categories).forEach(([category, key]) =>
+                        metrics.vips.set({ server, category }, snapshot.analysis[key]));
+                    Object.entries(snapshot.analysis.platforms).forEach(([platform, count]) =>
+                        metrics.vipsByPlatform.set({ server, platform }, count));
+                }
+            }
+
+            // After a restart, report the newest stored backup until the next backup runs
+            if (!metrics.backupLastSuccess.has({ server })) {
+                const latest = (await vipManager.listBackups().catch(() => [])).find(backup => backup.type === 'vip');
+                if (latest) {
+                    metrics.backupLastSuccess.set({ server }, Math.floor(new Date(latest.modified).getTime() / 1000));
+                    metrics.backupLastSize.set({ server }, latest.size);
+                }
+            }
+        }
+
+        metrics.uptime.set({}, process.uptime());
+        return metrics.registry.render();
+    }
+
+    async handleMetrics(req, res) {
+        try {
+            const body = await this.collectMetrics();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            }));
+        }
+    }
+
+    async handleHistory(req, res, playerId) {
+        try {
+            const history = await new VIPStore().getPlayerHistory(decodeURIComponent(playerId));
+            if (!history) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `No VIP history recorded for ${playerId}` }));
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(history, null, 2));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            }));
+        }
+    }
+
     async handleRoot(req, res) {
-        const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>VIP Manager</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
-        .container { max-width: 800px; margin: 0 auto; background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        .header { text-align: center; color: #333; }
-        .status { background: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; }
-        .links { display: flex; gap: 10px; justify-content: center; margin: 20px 0; }
-        .btn { padding: 10px 20px; background: #007cba; color: white; text-decoration: none; border-radius: 5px; }
-        .btn:hover { background: #005a87; }
-        .footer { text-align: center; color: #666; margin-top: 30px; font-size: 0.9em; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🎖️ VIP Manager</h1>
-            <p>Hell Let Loose CRCON VIP Management System</p>
-        </div>
-        
-        <div class="status">
-            <strong>Service Status:</strong> ${this.vipService.isRunning ? '🟢 Running' : '🔴 Stopped'}<br>
-            <strong>Uptime:</strong> ${Math.floor(process.uptime() / 60)} minutes<br>
-            <strong>Environment:</strong> ${process.env.NODE_ENV || 'development'}
-        </div>
-
-        <div class="links">
-            <a href="/health" class="btn">Health Check</a>
-            <a href="/status" class="btn">Full Status</a>
-            <a href="https://github.com/yourusername/vip-manager" class="btn">Documentation</a>
-        </div>
-
-        <div class="footer">
-            <p>VIP Manager v${require('../package.json').version}</p>
-            <p>Automated VIP management for Hell Let Loose servers</p>
-        </div>
-    </div>
-</body>
-</html>`;
-
-        res.writeHead(200, { 'Content-Type': 'text/html' });
+        // The page itself is public - its data is loaded with the moderator's API key
+        const html = renderDashboard({
+            running: this.vipService.isRunning,
+            environment: process.env.NODE_ENV || 'development',
+            version: require('../package.json').version
+        });
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
         res.end(html);
     }
 
@@ -190,27 +329,27 @@ class VIPManagerApp {
         this.log('Starting VIP Manager Application...');
         
         // Validate environment
-        if (!process.env.CRCON_BASE_URL) {
-            throw new Error('CRCON_BASE_URL environment variable is required');
-        }
-
-        if (!process.env.CRCON_API_TOKEN) {
-            throw new Error('CRCON_API_TOKEN environment variable is required');
+        const configErrors = validateServerProfiles(loadServerProfiles());
+        if (configErrors.length > 0) {
+            throw new Error(configErrors.join('; '));
         }
 
         // Test connection first
-        try {
-            const connectionTest = await this.vipService.vipManager.testConnection();
-            if (!connectionTest.connected) {
-                throw new Error(`CRCON connection failed: ${connectionTest.error}`);
+        for (const vipManager of this.vipService.vipManagers) {
+            try {
+                const connectionTest = await vipManager.testConnection();
+                if (!connectionTest.connected) {
+                    throw new Error(`CRCON connection failed: ${connectionTest.error}`);
+                }
+                this.log(`Connected to CRCON server: ${connectionTest.serverName}`, 'success');
+            } catch (error) {
+                this.log(`Initial connection test failed for ${vipManager.serverName}: ${error.message}`, 'error');
+                // Continue anyway for Railway deployment - connection might be available later
             }
-            this.log(`Connected to CRCON server: ${connectionTest.serverName}`, 'success');
-        } catch (error) {
-            this.log(`Initial connection test failed: ${error.message}`, 'error');
-            // Continue anyway for Railway deployment - connection might be available later
         }
 
-        // Start health server
+        // Start background status polling and the health server
+        this.statusCache.start();
         this.createHealthServer();
 
         // Start VIP service
@@ -219,6 +358,11 @@ class VIPManagerApp {
         this.log('VIP Manager Application started successfully', 'success');
         this.log(`Health endpoint available at http://localhost:${this.port}/health`);
         this.log(`Status endpoint available at http://localhost:${this.port}/status`);
+        if (this.accessControl.keys.length > 0) {
+            this.log(`VIP API available at http://localhost:${this.port}/vips (${this.accessControl.keys.length} API keys)`);
+        } else {
+            this.log('No API keys configured - /status and the VIP API are disabled', 'warning');
+        }
 
         // Handle graceful shutdown
         process.on('SIGINT', () => this.shutdown('SIGINT'));
@@ -243,6 +387,8 @@ class VIPManagerApp {
             this.vipService.stop();
         }
 
+        this.statusCache.stop();
+
         // Close health server
         if (this.server) {
             this.server.close(() => {
@@ -257,11 +403,13 @@ class VIPManagerApp {
 
 // Start the application
 if (require.main === module) {
-    const app = new VIPManagerApp();
-    app.start().catch(error => {
-        console.error(`Failed to start application: ${error.message}`);
-        process.exit(1);
-    });
+    applyConfigArgs(process.argv.slice(2));
+    Promise.resolve()
+        .then(() => new VIPManagerApp().start())
+        .catch(error => {
+            console.error(`Failed to start application: ${error.message}`);
+            process.exit(1);
+        });
 }
 
 module.exports = VIPManagerApp;
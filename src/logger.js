@@ -0,0 +1,163 @@
+/**
+ * Shared logger - level filtering, text or JSON console output, an optional
+ * rotating JSON-lines file and redaction of secrets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig, loadConfig } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, success: 20, warning: 30, error: 40 };
+const ICONS = { debug: '🐛', info: 'ℹ️', success: '✅', warning: '⚠️', error: '❌' };
+const REDACTED = '[REDACTED]';
+
+// Job context (id, name) follows async calls, so VIP manager logs inside a job carry its id
+const context = new AsyncLocalStorage();
+const secrets = new Set();
+let settings = null;
+let fileSize = 0;
+
+function normalizeLevel(level) {
+    const name = String(level || '').toLowerCase();
+    return name === 'warn' ? 'warning' : name;
+}
+
+// Read lazily so entry points can load .env and CLI options first
+function getSettings() {
+    if (!settings) {
+        let logging;
+        try {
+            logging = getConfig().logging;
+        } catch (error) {
+            // Invalid settings are reported by the entry point - log with whatever is valid meanwhile
+            logging = loadConfig().config.logging;
+        }
+        settings = {
+            level: normalizeLevel(logging.level),
+            format: logging.format,
+            file: logging.file,
+            maxBytes: logging.fileMaxMb * 1024 * 1024,
+            maxFiles: logging.fileMaxFiles
+        };
+        if (settings.file) {
+            fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+            fileSize = fs.existsSync(settings.file) ? fs.statSync(settings.file).size : 0;
+        }
+    }
+    return settings;
+}
+
+/**
+ * Register a value that must never appear in logs (API tokens, webhook URLs, API keys)
+ */
+function addSecret(value) {
+    if (value && String(value).length >= 6) {
+        secrets.add(String(value));
+    }
+}
+
+function redact(text) {
+    let result = String(text);
+    secrets.forEach(secret => {
+        result = result.split(secret).join(REDACTED);
+    });
+    return result
+        .replace(/(https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\/)\S+/g, `$1${REDACTED}`)
+        .replace(/(Bearer\s+)\S+/gi, `$1${REDACTED}`);
+}
+
+function rotate(config) {
+    for (let index = config.maxFiles - 1; index >= 1; index--) {
+        const from = index === 1 ? config.file : `${config.file}.${index - 1}`;
+        if (fs.existsSync(from)) {
+            fs.renameSync(from, `${config.file}.${index}`);
+        }
+    }
+    fileSize = 0;
+}
+
+function writeFile(config, line) {
+    try {
+        if (fileSize + line.length > config.maxBytes && fileSize > 0) {
+            rotate(config);
+        }
+        fs.appendFileSync(config.file, line);
+        fileSize += Buffer.byteLength(line);
+    } catch (error) {
+        // Never let logging take the service down - fall back to the console only
+        console.error(`Log file write failed: ${error.message}`);
+    }
+}
+
+/**
+ * True when console output must stay machine-readable - multi-line reports are logged as fields instead
+ */
+function isJsonFormat() {
+    return getSettings().format === 'json';
+}
+
+/**
+ * Run `fn` as a job: every log line inside it carries the job name and id
+ */
+function runJob(job, fn) {
+    const jobId = `${job}-${Date.now().toString(36)}`;
+    return context.run({ job, jobId }, fn);
+}
+
+class Logger {
+    /**
+     * @param {string} component - e.g. "app", "service" or "manager"
+     * @param {object} options - { label, infoIcon, fields }; label is shown in text output
+     */
+    constructor(component, options = {}) {
+        this.component = component;
+        this.label = options.label || null;
+        this.infoIcon = options.infoIcon || ICONS.info;
+        this.fields = options.fields || {};
+    }
+
+    enabled(level) {
+        return (LEVELS[level] || LEVELS.info) >= LEVELS[getSettings().level];
+    }
+
+    log(message, level = 'info', fields = {}) {
+        level = LEVELS[normalizeLevel(level)] ? normalizeLevel(level) : 'info';
+        if (!this.enabled(level)) return;
+
+        const config = getSettings();
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: level === 'success' ? 'info' : level,
+            component: this.component,
+            ...this.fields,
+            ...context.getStore(),
+            ...fields,
+            message: redact(message)
+        };
+        const json = redact(JSON.stringify(entry));
+
+        if (config.format === 'json') {
+            console.log(json);
+        } else {
+            const icon = level === 'info' ? this.infoIcon : ICONS[level];
+            console.log(`${entry.timestamp} ${icon}${this.label ? ` [${this.label}]` : ''} ${entry.message}`);
+        }
+        if (config.file) {
+            writeFile(config, `${json}\n`);
+        }
+    }
+
+    debug(message, fields) { this.log(message, 'debug', fields); }
+    info(message, fields) { this.log(message, 'info', fields); }
+    warning(message, fields) { this.log(message, 'warning', fields); }
+    error(message, fields) { this.log(message, 'error', fields); }
+}
+
+module.exports = {
+    Logger,
+    addSecret,
+    isJsonFormat,
+    redact,
+    runJob
+};
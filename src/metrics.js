@@ -0,0 +1,150 @@
+/**
+ * Prometheus metrics - a small in-process registry rendered in the text exposition format
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    entry(labels, create) {
+        const key = labelKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: { ...labels }, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(entry => lines.push(...this.renderEntry(entry)));
+        return lines;
+    }
+
+    renderEntry(entry) {
+        return [`${this.name}${formatLabels(entry.labels)} ${entry.value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.entry(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super(name, help, 'gauge');
+    }
+
+    set(labels, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    has(labels) {
+        return this.series.has(labelKey(labels));
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        super(name, help, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    renderEntry(entry) {
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor(prefix = 'vip_sentinel_') {
+        this.prefix = prefix;
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (!this.metrics.has(metric.name)) {
+            this.metrics.set(metric.name, metric);
+        }
+        return this.metrics.get(metric.name);
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(this.prefix + name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(this.prefix + name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(this.prefix + name, help, buckets));
+    }
+
+    render() {
+        const lines = [];
+        this.metrics.forEach(metric => lines.push(...metric.render()));
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// Shared by the VIP managers, the service and the HTTP server of one process
+const registry = new MetricsRegistry();
+
+const metrics = {
+    registry,
+    crconRequestDuration: registry.histogram('crcon_request_duration_seconds', 'CRCON API request latency'),
+    crconRequestErrors: registry.counter('crcon_request_errors_total', 'Failed CRCON API requests, after retries'),
+    crconRetries: registry.counter('crcon_request_retries_total', 'Retried CRCON API requests'),
+    crconCircuitOpen: registry.gauge('crcon_circuit_open', 'Whether requests to CRCON are paused by the circuit breaker'),
+    backupLastSuccess: registry.gauge('backup_last_success_timestamp_seconds', 'Unix time of the last successful VIP backup'),
+    backupLastSize: registry.gauge('backup_last_size_bytes', 'Size of the last successful VIP backup'),
+    backupFailures: registry.counter('backup_failures_total', 'Failed VIP backup downloads'),
+    cleanupDeleted: registry.counter('backup_cleanup_deleted_total', 'Backup files deleted by retention cleanup'),
+    notificationFailures: registry.counter('notification_failures_total', 'Notifications that could not be delivered after retries'),
+    crconUp: registry.gauge('crcon_up', 'Whether the last status refresh reached CRCON'),
+    snapshotAge: registry.gauge('snapshot_age_seconds', 'Age of the cached status snapshot'),
+    vips: registry.gauge('vips', 'VIPs by category from the cached snapshot'),
+    vipsByPlatform: registry.gauge('vips_by_platform', 'VIPs by platform from the cached snapshot'),
+    uptime: registry.gauge('process_uptime_seconds', 'Seconds since the process started')
+};
+
+module.exports = { MetricsRegistry, metrics };
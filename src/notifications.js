@@ -0,0 +1,323 @@
+/**
+ * Notification channels (Discord, Slack, generic JSON webhook, SMTP email) and
+ * routing of event types to channels, with retries and a failure log
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { metrics } = require('./metrics');
+
+const CHANNEL_TYPES = ['discord', 'slack', 'webhook', 'email'];
+
+/**
+ * Event types passed to notify(). Routes match them exactly or with "*" wildcards,
+ * e.g. "backup.*" or "*.failure".
+ */
+const EVENT_TYPES = [
+    'backup.success',
+    'backup.failure',
+    'backup.changes',
+    'expiry.alert',
+    'health.failure',
+    'health.recovery',
+    'vip.change',
+    'enforcement.action',
+    'enforcement.failure',
+    'sync.result',
+    'sync.failure',
+    'seeding.reward',
+    'service.status',
+    'test'
+];
+
+function plainText(markdown) {
+    return String(markdown).replace(/\*\*(.+?)\*\*/g, '$1');
+}
+
+function hexColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Discord rejects embeds over these sizes - see https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const DISCORD_LIMITS = { title: 256, description: 4096, fieldName: 256, fieldValue: 1024, fields: 25, embed: 6000 };
+
+/**
+ * Split report sections ({ name, lines }) into embed fields, continuing a section
+ * in another field when its lines do not fit in one
+ */
+function discordFields(sections) {
+    const fields = [];
+    sections.forEach(section => {
+        let value = '';
+        const flush = () => {
+            const name = fields.some(field => field.section === section) ? `${section.name} (cont.)` : section.name;
+            fields.push({ section, name: truncate(name, DISCORD_LIMITS.fieldName), value });
+            value = '';
+        };
+        section.lines.forEach(line => {
+            const text = truncate(line, DISCORD_LIMITS.fieldValue);
+            if (value && value.length + text.length + 1 > DISCORD_LIMITS.fieldValue) flush();
+            value += value ? `\n${text}` : text;
+        });
+        if (value) flush();
+    });
+    return fields.map(({ name, value }) => ({ name, value, inline: false }));
+}
+
+/**
+ * Build the embeds of a message - one per Discord message, as the size limit applies to all embeds of a message
+ */
+function discordEmbeds(message) {
+    const title = truncate(`🎖️ ${message.server ? `[${message.server}] ` : ''}${message.title}`, DISCORD_LIMITS.title - 10);
+    const footer = { text: message.server ? `VIP Manager System • ${message.server}` : 'VIP Manager System' };
+    const description = truncate(message.description, DISCORD_LIMITS.description);
+    const embeds = [];
+    let embed = { title, description, color: message.color, timestamp: message.timestamp, footer, fields: [] };
+    let size = title.length + description.length + footer.text.length;
+
+    discordFields(message.sections || []).forEach(field => {
+        const fieldSize = field.name.length + field.value.length;
+        if (embed.fields.length >= DISCORD_LIMITS.fields || size + fieldSize > DISCORD_LIMITS.embed - 100) {
+            embeds.push(embed);
+            embed = { title: `${title} (cont.)`, color: message.color, timestamp: message.timestamp, footer, fields: [] };
+            size = embed.title.length + footer.text.length;
+        }
+        embed.fields.push(field);
+        size += fieldSize;
+    });
+    embeds.push(embed);
+
+    if (embeds.length > 1) {
+        embeds.forEach((item, index) => { item.title = `${title} (${index + 1}/${embeds.length})`; });
+    }
+    return embeds;
+}
+
+// The full report goes along as a file, which needs a multipart request
+async function postWithAttachment(url, payload, attachment) {
+    if (!attachment) {
+        return axios.post(url, payload, { timeout: 10000 });
+    }
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify(payload));
+    form.append('files[0]', new Blob([attachment.content], { type: 'text/plain' }), attachment.filename);
+    return axios.post(url, form, { timeout: 30000 });
+}
+
+// Sections as plain text for channels without fields, shortened when `maxLines` is given
+function sectionsText(sections, maxLines = Infinity) {
+    return (sections || []).map(section => {
+        const lines = section.lines.slice(0, maxLines);
+        if (section.lines.length > lines.length) lines.push(`…and ${section.lines.length - lines.length} more`);
+        return `${section.name}\n${lines.join('\n')}`;
+    }).join('\n\n');
+}
+
+const senders = {
+    async discord(channel, message) {
+        const embeds = discordEmbeds(message);
+        // Resume after the last delivered part when a retry follows a partial send
+        message.delivered = message.delivered || {};
+        for (let index = message.delivered[channel.name] || 0; index < embeds.length; index++) {
+            const attachment = index === embeds.length - 1 ? message.attachment : null;
+            await postWithAttachment(channel.url, { embeds: [embeds[index]] }, attachment);
+            message.delivered[channel.name] = index + 1;
+        }
+    },
+
+    async slack(channel, message) {
+        // Incoming webhooks cannot upload files, so long sections are shortened instead
+        const text = [message.description, sectionsText(message.sections, 25)].filter(Boolean).join('\n\n');
+        await axios.post(channel.url, {
+            text: `🎖️ ${message.server ? `[${message.server}] ` : ''}${message.title}`,
+            attachments: [{
+                color: hexColor(message.color),
+                // Slack bolds with single asterisks
+                text: text.replace(/\*\*(.+?)\*\*/g, '*$1*'),
+                footer: message.server ? `VIP Manager System • ${message.server}` : 'VIP Manager System',
+                ts: Math.floor(new Date(message.timestamp).getTime() / 1000)
+            }]
+        }, { timeout: 10000 });
+    },
+
+    async webhook(channel, message) {
+        await axios.post(channel.url, {
+            event: message.event,
+            title: message.title,
+            description: plainText(message.description),
+            color: hexColor(message.color),
+            server: message.server,
+            timestamp: message.timestamp,
+            sections: (message.sections || []).map(section => ({ name: section.name, lines: section.lines.map(plainText) })),
+            report: message.attachment || null
+        }, { timeout: 10000, headers: channel.headers || {} });
+    },
+
+    async email(channel, message) {
+        if (!channel.transport) {
+            channel.transport = nodemailer.createTransport(channel.smtp);
+        }
+        await channel.transport.sendMail({
+            from: channel.from,
+            to: channel.to,
+            subject: `[VIP Manager]${message.server ? ` [${message.server}]` : ''} ${message.title}`,
+            text: [plainText(message.description), plainText(sectionsText(message.sections)), message.timestamp].filter(Boolean).join('\n\n'),
+            attachments: message.attachment ? [{ filename: message.attachment.filename, content: message.attachment.content }] : []
+        });
+    }
+};
+
+/**
+ * Check one channel definition. Returns a list of problems.
+ */
+function validateChannel(channel, index) {
+    const label = channel && channel.name ? `Notification channel "${channel.name}"` : `Notification channel #${index + 1}`;
+    if (!channel || typeof channel !== 'object') return [`${label} must be an object`];
+
+    const errors = [];
+    if (!channel.name || !/^[\w-]+$/.test(channel.name)) {
+        errors.push(`${label} needs a name of letters, numbers, "-" or "_"`);
+    }
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+        errors.push(`${label} type must be one of ${CHANNEL_TYPES.join(', ')}`);
+    } else if (channel.type === 'email') {
+        if (!channel.smtp) errors.push(`${label} needs smtp settings (an smtp:// URL or { host, port, auth })`);
+        if (!channel.from) errors.push(`${label} needs a from address`);
+        if (!channel.to || (Array.isArray(channel.to) && channel.to.length === 0)) errors.push(`${label} needs at least one to address`);
+    } else if (!/^https?:\/\/\S+$/.test(channel.url || '')) {
+        errors.push(`${label} needs an http:// or https:// url`);
+    }
+    return errors;
+}
+
+/**
+ * Check routes ({ pattern: [channel names] }) against the configured channel names
+ */
+function validateRoutes(routes, channelNames) {
+    const errors = [];
+    Object.entries(routes).forEach(([pattern, targets]) => {
+        const names = Array.isArray(targets) ? targets : [targets];
+        names.filter(name => !channelNames.includes(name)).forEach(name =>
+            errors.push(`Notification route "${pattern}" uses unknown channel "${name}"`));
+        if (!pattern.includes('*') && !EVENT_TYPES.includes(pattern)) {
+            errors.push(`Notification route "${pattern}" is not an event type (${EVENT_TYPES.join(', ')})`);
+        }
+    });
+    return errors;
+}
+
+function matchesPattern(pattern, event) {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return regex.test(event);
+}
+
+class NotificationRouter {
+    /**
+     * @param {object} config - the notifications config section plus the legacy Discord webhook
+     */
+    constructor(config, options = {}) {
+        const legacy = config.discordWebhookUrl ? [{ name: 'discord', type: 'discord', url: config.discordWebhookUrl }] : [];
+        this.channels = (config.channels || legacy).map(channel => ({ ...channel }));
+        this.routes = config.routes || { '*': this.channels.map(channel => channel.name) };
+        this.retries = config.retries !== undefined ? config.retries : 2;
+        this.retryDelayMs = options.retryDelayMs || 1000;
+        this.failureLog = config.failureLog || null;
+        this.log = options.log || (() => {});
+        this.server = options.server || null;
+    }
+
+    /**
+     * Channels for an event - the most specific matching route wins, so
+     * "backup.failure" overrides "backup.*", which overrides "*"
+     */
+    channelsFor(event) {
+        const matches = Object.keys(this.routes)
+            .filter(pattern => matchesPattern(pattern, event))
+            .sort((a, b) => b.replace(/\*/g, '').length - a.replace(/\*/g, '').length);
+        if (matches.length === 0) return [];
+
+        const targets = this.routes[matches[0]];
+        const names = Array.isArray(targets) ? targets : [targets];
+        return this.channels.filter(channel => names.includes(channel.name));
+    }
+
+    async deliver(channel, message) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await senders[channel.type](channel, message);
+                return true;
+            } catch (error) {
+                if (attempt >= this.retries) {
+                    metrics.notificationFailures.inc({ server: this.server || 'default', channel: channel.name, type: channel.type });
+                    this.log(`Failed to send ${message.event} notification to ${channel.name}: ${error.message}`, 'warning');
+                    await this.recordFailure(channel, message, error, attempt + 1);
+                    return false;
+                }
+                await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** attempt));
+            }
+        }
+    }
+
+    async recordFailure(channel, message, error, attempts) {
+        if (!this.failureLog) return;
+        try {
+            await fs.mkdir(path.dirname(this.failureLog), { recursive: true });
+            await fs.appendFile(this.failureLog, JSON.stringify({
+                timestamp: new Date().toISOString(),
+                channel: channel.name,
+                type: channel.type,
+                event: message.event,
+                title: message.title,
+                server: message.server,
+                attempts,
+                error: error.message
+            }) + '\n');
+        } catch (writeError) {
+            this.log(`Failed to record notification failure: ${writeError.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Send to every channel routed for the event - test notifications go to every channel.
+     * Options: label (server name), sections ([{ name, lines }] listed below the description)
+     * and attachment ({ filename, content }). Never throws - returns delivery counts.
+     */
+    async send(event, title, description, color = 0x00D4FF, options = {}) {
+        const channels = event === 'test' ? this.channels : this.channelsFor(event);
+        if (channels.length === 0) {
+            this.log(`No notification channel for ${event}, skipping notification`, 'info');
+            return { sent: 0, failed: 0 };
+        }
+
+        const message = {
+            event,
+            title,
+            description,
+            color,
+            server: options.label || null,
+            sections: options.sections || [],
+            attachment: options.attachment || null,
+            timestamp: new Date().toISOString()
+        };
+        const results = await Promise.all(channels.map(channel => this.deliver(channel, message)));
+        const sent = results.filter(Boolean).length;
+        if (sent > 0) {
+            this.log(`Notification sent to ${channels.filter((channel, index) => results[index]).map(channel => channel.name).join(', ')}`, 'success');
+        }
+        return { sent, failed: results.length - sent };
+    }
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    EVENT_TYPES,
+    NotificationRouter,
+    validateChannel,
+    validateRoutes
+};
@@ -0,0 +1,138 @@
+/**
+ * Player identity - validate the player IDs CRCON uses, tell which platform they belong to,
+ * and resolve players' current names from their CRCON profiles
+ *
+ * Hell Let Loose identifies Steam players by their Steam64 ID. Every other player (Epic Games Store
+ * and Microsoft Store on PC, Xbox and PlayStation) has a 32 character hex Epic Online Services ID,
+ * which does not say which of those platforms the player is on.
+ */
+
+// Steam64 IDs of individual accounts: universe 1, type 1, instance 1, then a 32-bit account number
+const STEAM64_BASE = 76561197960265728n;
+const STEAM64_MAX = STEAM64_BASE + 0xFFFFFFFFn;
+
+const PLATFORMS = ['steam', 'nonSteam', 'unknown'];
+
+// Candidates in free text (a CSV note, a donation message); parsePlayerId decides whether they are valid
+const ID_CANDIDATES = /\b(\d{17}|[0-9a-f]{32})\b/gi;
+
+const NAME_CACHE_MS = 60 * 60 * 1000;
+// Failed lookups are remembered briefly, so a CRCON without profiles is not asked again on every run
+const FAILED_LOOKUP_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Identify a player ID. Returns { id, type, platform } with the ID normalized
+ * (EOS IDs in lower case) and type 'steam64' or 'eos', or null for anything else.
+ */
+function parsePlayerId(value) {
+    const id = String(value === undefined || value === null ? '' : value).trim();
+    if (/^\d{17}$/.test(id)) {
+        const number = BigInt(id);
+        return number > STEAM64_BASE && number <= STEAM64_MAX ? { id, type: 'steam64', platform: 'steam' } : null;
+    }
+    if (/^[0-9a-f]{32}$/i.test(id)) {
+        return { id: id.toLowerCase(), type: 'eos', platform: 'nonSteam' };
+    }
+    return null;
+}
+
+/**
+ * The normalized player ID, or an Error explaining the accepted formats
+ */
+function validatePlayerId(value) {
+    const identity = parsePlayerId(value);
+    if (!identity) {
+        throw new Error(`Invalid player ID: "${value}" (expected a Steam64 ID or a 32 character hex ID)`);
+    }
+    return identity.id;
+}
+
+/**
+ * The first valid player ID in a piece of text, or null
+ */
+function findPlayerId(text) {
+    for (const [candidate] of String(text || '').matchAll(ID_CANDIDATES)) {
+        const identity = parsePlayerId(candidate);
+        if (identity) return identity.id;
+    }
+    return null;
+}
+
+function classifyPlatform(playerId) {
+    const identity = parsePlayerId(playerId);
+    return identity ? identity.platform : 'unknown';
+}
+
+/**
+ * The name a CRCON player profile was last seen with
+ */
+function profileName(profile) {
+    const names = (profile && Array.isArray(profile.names) ? profile.names : []).filter(entry => entry && entry.name);
+    if (names.length === 0) return null;
+    const latest = names.reduce((best, entry) =>
+        (entry.last_seen && (!best.last_seen || new Date(entry.last_seen) > new Date(best.last_seen)) ? entry : best));
+    return latest.name;
+}
+
+/**
+ * Current player names from CRCON profile lookups, cached so repeated alerts and
+ * imports do not look up the same players again
+ */
+class PlayerDirectory {
+    /**
+     * @param {function} request - makeRequest(endpoint, method, data, options) of a VIPManager
+     * @param {object} options - { log, cacheMs, failureCacheMs }
+     */
+    constructor(request, options = {}) {
+        this.request = request;
+        this.log = options.log || (() => {});
+        this.cacheMs = options.cacheMs !== undefined ? options.cacheMs : NAME_CACHE_MS;
+        this.failureCacheMs = options.failureCacheMs !== undefined ? options.failureCacheMs : FAILED_LOOKUP_CACHE_MS;
+        this.names = new Map();
+    }
+
+    /**
+     * The player's current name, or null when CRCON has no profile or the lookup fails
+     */
+    async resolveName(playerId) {
+        const cached = this.names.get(playerId);
+        if (cached && Date.now() - cached.at < (cached.failed ? this.failureCacheMs : this.cacheMs)) {
+            return cached.name;
+        }
+        try {
+            // Names are a nicety: no retries, and failures must not open the circuit for VIP changes and backups
+            const profile = await this.request('/api/get_player_profile', 'GET', { player_id: playerId }, { circuit: false, retries: 0 });
+            const name = profileName(profile);
+            this.names.set(playerId, { name, at: Date.now() });
+            return name;
+        } catch (error) {
+            this.log(`Could not resolve name for ${playerId}: ${error.message}`, 'warning');
+            this.names.set(playerId, { name: null, at: Date.now(), failed: true });
+            return null;
+        }
+    }
+
+    /**
+     * Resolve several players, a few lookups at a time. Returns a Map of player ID to name (or null).
+     */
+    async resolveNames(playerIds, concurrency = 5) {
+        const ids = [...new Set(playerIds)];
+        const names = new Map();
+        for (let index = 0; index < ids.length; index += concurrency) {
+            const batch = ids.slice(index, index + concurrency);
+            const resolved = await Promise.all(batch.map(id => this.resolveName(id)));
+            batch.forEach((id, position) => names.set(id, resolved[position]));
+        }
+        return names;
+    }
+}
+
+module.exports = {
+    PLATFORMS,
+    parsePlayerId,
+    validatePlayerId,
+    findPlayerId,
+    classifyPlatform,
+    profileName,
+    PlayerDirectory
+};
@@ -0,0 +1,99 @@
+/**
+ * Backup retention - grandfather-father-son: keep the newest backup of each of the last
+ * N days, N weeks and N months, counted in calendar periods of the configured timezone
+ */
+
+const TIERS = [
+    { name: 'daily', setting: 'days' },
+    { name: 'weekly', setting: 'weeks' },
+    { name: 'monthly', setting: 'months' }
+];
+
+// vip_file_2024-01-01T02-00-00-000Z.txt.gz.enc was written at 2024-01-01T02:00:00.000Z
+const NAME_TIMESTAMP = /_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/;
+
+/**
+ * When a backup was taken: the timestamp in its name, or its modification time
+ */
+function backupTime(file) {
+    const match = file.name.match(NAME_TIMESTAMP);
+    return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : new Date(file.modified);
+}
+
+// The calendar date of `time` in the timezone, as a UTC midnight Date for day arithmetic
+function localDate(time, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(time).map(part => [part.type, part.value]));
+    return new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+}
+
+// ISO 8601 week, e.g. 2024-W01 - weeks start on Monday and belong to the year of their Thursday
+function isoWeek(date) {
+    const thursday = new Date(date);
+    thursday.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+    const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const periodKeys = {
+    days: date => date.toISOString().slice(0, 10),
+    weeks: isoWeek,
+    months: date => date.toISOString().slice(0, 7)
+};
+
+function shift(date, setting, count) {
+    const result = new Date(date);
+    if (setting === 'days') result.setUTCDate(result.getUTCDate() - count);
+    if (setting === 'weeks') result.setUTCDate(result.getUTCDate() - count * 7);
+    if (setting === 'months') result.setUTCMonth(result.getUTCMonth() - count, 1);
+    return result;
+}
+
+/**
+ * Decide which backups to keep. `files` are [{ name, modified }] of one kind (VIP snapshots or
+ * analysis reports); `policy` is { days, weeks, months }. Returns { keep, remove }: kept files
+ * carry the periods they were kept for in `reasons`, e.g. ['daily 2024-01-07', 'weekly 2024-W01'].
+ */
+function planRetention(files, policy, options = {}) {
+    const { now = new Date(), timezone = 'UTC' } = options;
+    const today = localDate(now, timezone);
+    const backups = files
+        .map(file => ({ ...file, time: backupTime(file) }))
+        .sort((a, b) => b.time - a.time);
+
+    const reasons = new Map(backups.map(backup => [backup.name, []]));
+    TIERS.forEach(({ name, setting }) => {
+        const periods = new Set();
+        for (let index = 0; index < policy[setting]; index++) {
+            periods.add(periodKeys[setting](shift(today, setting, index)));
+        }
+        // Newest first, so each period keeps its latest backup
+        backups.forEach(backup => {
+            const period = periodKeys[setting](localDate(backup.time, timezone));
+            if (periods.delete(period)) {
+                reasons.get(backup.name).push(`${name} ${period}`);
+            }
+        });
+    });
+
+    return {
+        keep: backups.filter(backup => reasons.get(backup.name).length > 0)
+            .map(backup => ({ ...backup, reasons: reasons.get(backup.name) })),
+        remove: backups.filter(backup => reasons.get(backup.name).length === 0)
+    };
+}
+
+function describeRetention(policy) {
+    return TIERS.map(({ name, setting }) => `${policy[setting]} ${name}`).join(', ');
+}
+
+module.exports = {
+    backupTime,
+    planRetention,
+    describeRetention
+};
@@ -0,0 +1,167 @@
+/**
+ * Seeding rewards - count the minutes players spend on a server while it is seeding
+ * (below the population threshold) and reward them with temporary VIP at a target
+ */
+
+const fs = require('fs').promises;
+const { getConfig } = require('./config');
+const { writeJsonFile, serialize } = require('./state-file');
+const { Logger } = require('./logger');
+
+const logger = new Logger('seeding', { label: 'SEEDING', infoIcon: '🌱' });
+
+// Polls further apart than this (service restarts, CRCON outages) credit nothing
+const MAX_POLL_GAP_MINUTES = 15;
+
+class SeedingRewards {
+    /**
+     * @param {object} options - the seeding config section: { threshold, targetMinutes, reward, message, file }
+     */
+    constructor(options = getConfig().seeding) {
+        this.threshold = options.threshold;
+        this.targetMinutes = options.targetMinutes;
+        this.reward = options.reward;
+        this.message = options.message;
+        this.filepath = options.file;
+    }
+
+    async readState() {
+        try {
+            return JSON.parse(await fs.readFile(this.filepath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            if (!(error instanceof SyntaxError)) throw error;
+
+            // A damaged file is moved aside, so tracking restarts from empty state and this is logged once
+            const aside = `${this.filepath}.corrupt`;
+            await fs.rename(this.filepath, aside).catch(() => {});
+            logger.log(`Seeding state ${this.filepath} is not valid JSON (${error.message}) - ` +
+                `moved it to ${aside} and started again from empty state`, 'warning');
+            return {};
+        }
+    }
+
+    /**
+     * Save one server's progress, re-reading the file so polls of other servers are not overwritten
+     */
+    async saveServer(serverName, server) {
+        await serialize(this.filepath, async () => {
+            const state = await this.readState();
+            state[serverName] = server;
+            await writeJsonFile(this.filepath, state);
+        });
+    }
+
+    async fetchPlayers(vipManager) {
+        const players = await vipManager.makeRequest('/api/get_players');
+        if (!players || !Array.isArray(players)) {
+            throw new Error('No player data available');
+        }
+        return players.filter(player => player.player_id);
+    }
+
+    /**
+     * Poll one server: while it is seeding, credit the minutes since the previous poll
+     * to every online player, then reward players who reached the target.
+     * Returns { seeding, playerCount, creditedMinutes, rewarded, failed }.
+     */
+    async poll(vipManager, now = new Date()) {
+        const players = await this.fetchPlayers(vipManager);
+        const state = await this.readState();
+        const server = state[vipManager.serverName] || { lastPollAt: null, players: {} };
+
+        const elapsed = server.lastPollAt ? (now - new Date(server.lastPollAt)) / 60000 : 0;
+        const seeding = players.length > 0 && players.length < this.threshold;
+        const creditedMinutes = seeding && elapsed <= MAX_POLL_GAP_MINUTES ? elapsed : 0;
+        server.lastPollAt = now.toISOString();
+
+        const result = { seeding, playerCount: players.length, creditedMinutes, rewarded: [], failed: [] };
+        if (creditedMinutes > 0) {
+            players.forEach(player => {
+                const entry = server.players[player.player_id] || { minutes: 0, totalMinutes: 0, rewards: 0 };
+                entry.name = player.name || entry.name || null;
+                entry.minutes += creditedMinutes;
+                entry.totalMinutes += creditedMinutes;
+                entry.lastSeededAt = now.toISOString();
+                server.players[player.player_id] = entry;
+            });
+        }
+
+        // Rewards are written to the state one by one, so a failure later on cannot grant twice
+        await this.saveServer(vipManager.serverName, server);
+        const due = Object.entries(server.players).filter(([, entry]) => entry.minutes >= this.targetMinutes);
+        for (const [playerId, entry] of due) {
+            try {
+                const grant = await this.rewardPlayer(vipManager, playerId, entry);
+                entry.minutes -= this.targetMinutes;
+                if (grant) {
+                    entry.rewards++;
+                    entry.lastRewardAt = now.toISOString();
+                    result.rewarded.push(grant);
+                }
+                await this.saveServer(vipManager.serverName, server);
+            } catch (error) {
+                // The minutes stay, so the reward is retried on the next poll
+                vipManager.log(`Seeding reward for ${entry.name || playerId} failed: ${error.message}`, 'warning');
+                result.failed.push({ player_id: playerId, name: entry.name, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Grant VIP for `reward`, or extend an existing temporary VIP by it, then thank the player in game.
+     * Returns null for players who already have permanent VIP.
+     */
+    async rewardPlayer(vipManager, playerId, entry) {
+        const vip = await vipManager.findVip(playerId);
+        if (vip && vip.expiration === null) {
+            vipManager.log(`${entry.name || playerId} reached the seeding target but already has permanent VIP`);
+            return null;
+        }
+
+        const options = { notify: false, source: 'seeding', actor: 'seeding' };
+        const result = vip
+            ? await vipManager.extendVip(playerId, this.reward, options)
+            : await vipManager.grantVip(playerId, this.reward, entry.name, options);
+        const grant = { ...result, name: entry.name || result.name, extended: Boolean(vip) };
+
+        await this.messagePlayer(vipManager, playerId, grant);
+        await vipManager.notify(
+            'seeding.reward',
+            'Seeding Reward',
+            `🌱 **${grant.name || 'Unknown player'}** (${playerId}) seeded ${this.targetMinutes} minutes\n` +
+            `🎖️ ${grant.extended ? 'VIP extended' : 'VIP granted'} for ${this.reward}\n⏰ **Expires:** ${grant.expiration}`,
+            0x00FF00
+        );
+        return grant;
+    }
+
+    // The in-game thank-you is a courtesy - the VIP is already granted if it fails
+    async messagePlayer(vipManager, playerId, grant) {
+        const message = this.message
+            .replace(/\{name\}/g, grant.name || 'seeder')
+            .replace(/\{reward\}/g, this.reward)
+            .replace(/\{minutes\}/g, this.targetMinutes)
+            .replace(/\{expiration\}/g, new Date(grant.expiration).toUTCString());
+        try {
+            await vipManager.makeRequest('/api/message_player', 'POST', { player_id: playerId, message });
+        } catch (error) {
+            vipManager.log(`Could not message ${grant.name || playerId}: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Progress of every tracked player on a server, closest to a reward first
+     */
+    async progress(serverName) {
+        const state = await this.readState();
+        const server = state[serverName] || { players: {} };
+        return Object.entries(server.players)
+            .map(([playerId, entry]) => ({ player_id: playerId, ...entry }))
+            .sort((a, b) => b.minutes - a.minutes);
+    }
+}
+
+module.exports = SeedingRewards;
@@ -0,0 +1,111 @@
+/**
+ * CRCON server profiles - name, URL, token and backup directory per server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const DEFAULT_SERVER = 'default';
+
+/**
+ * Load server profiles from crcon.serversFile or crcon.servers (JSON arrays),
+ * falling back to the single crcon.baseUrl/crcon.apiToken pair
+ */
+function loadServerProfiles(config = getConfig()) {
+    const crcon = config.crcon;
+    let profiles;
+
+    if (crcon.serversFile) {
+        profiles = JSON.parse(fs.readFileSync(crcon.serversFile, 'utf8'));
+    } else if (crcon.servers) {
+        profiles = crcon.servers;
+    } else {
+        return [{
+            name: crcon.serverName || DEFAULT_SERVER,
+            baseUrl: crcon.baseUrl,
+            apiToken: crcon.apiToken,
+            backupDir: './backups'
+        }];
+    }
+
+    if (!Array.isArray(profiles) || profiles.length === 0) {
+        throw new Error('Server profiles must be a non-empty JSON array');
+    }
+
+    return profiles.map((profile, index) => {
+        const name = profile.name;
+        if (!name || !/^[\w-]+$/.test(name)) {
+            throw new Error(`Server profile #${index + 1} needs a name of letters, numbers, "-" or "_"`);
+        }
+        return {
+            name,
+            baseUrl: profile.baseUrl || profile.url,
+            apiToken: profile.apiToken || profile.token || crcon.apiToken,
+            backupDir: profile.backupDir || path.join('./backups', name)
+        };
+    });
+}
+
+/**
+ * Return a list of problems with the sync settings: SYNC_SOURCE and SYNC_TARGETS must name configured servers
+ */
+function validateSyncServers(profiles, sync = getConfig().sync) {
+    const names = profiles.map(profile => profile.name);
+    const configured = `(configured: ${names.join(', ')})`;
+    const errors = [];
+    if (sync.source && !names.includes(sync.source)) {
+        errors.push(`sync.source (SYNC_SOURCE) "${sync.source}" is not a configured server ${configured}`);
+    }
+    sync.targets.filter(name => !names.includes(name))
+        .forEach(name => errors.push(`sync.targets (SYNC_TARGETS) "${name}" is not a configured server ${configured}`));
+    return errors;
+}
+
+/**
+ * Return a list of problems with the profiles (missing URL/token, duplicate names, unknown sync servers)
+ */
+function validateServerProfiles(profiles, config = getConfig()) {
+    const errors = [];
+    const seen = new Set();
+    const multi = profiles.length > 1;
+
+    profiles.forEach(profile => {
+        const label = multi ? `Server "${profile.name}"` : 'CRCON';
+        if (seen.has(profile.name)) {
+            errors.push(`Duplicate server name: ${profile.name}`);
+        }
+        seen.add(profile.name);
+        if (!profile.baseUrl) {
+            errors.push(multi ? `${label} is missing a url` : 'crcon.baseUrl (CRCON_BASE_URL) is required');
+        }
+        if (!profile.apiToken) {
+            errors.push(multi ? `${label} is missing a token` : 'crcon.apiToken (CRCON_API_TOKEN) is required');
+        }
+    });
+
+    errors.push(...validateSyncServers(profiles, config.sync));
+    return errors;
+}
+
+/**
+ * Pick the managers for a --server/?server= selection (all of them when no name is given)
+ */
+function selectServers(managers, name) {
+    if (!name || name === 'all') {
+        return managers;
+    }
+    const selected = managers.filter(manager => manager.serverName === name);
+    if (selected.length === 0) {
+        throw new Error(`Unknown server: ${name} (configured: ${managers.map(manager => manager.serverName).join(', ')})`);
+    }
+    return selected;
+}
+
+module.exports = {
+    DEFAULT_SERVER,
+    loadServerProfiles,
+    validateServerProfiles,
+    validateSyncServers,
+    selectServers
+};
@@ -0,0 +1,47 @@
+/**
+ * State files - JSON files that the service and one-off CLI runs both update (alert
+ * dedup, seeding progress), written atomically and updated one at a time per process
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Pending updates per file, so read-modify-write cycles in this process never interleave
+const queues = new Map();
+
+/**
+ * Write JSON through a temp file unique to this process and call, then rename it into place,
+ * so readers never see a half-written file and concurrent writers never share a temp file
+ */
+async function writeJsonFile(filepath, data) {
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    const temp = `${filepath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.writeFile(temp, JSON.stringify(data, null, 2));
+        await fs.rename(temp, filepath);
+    } catch (error) {
+        await fs.unlink(temp).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Run `task` after every earlier task queued for the same file has finished. Returns its result.
+ */
+function serialize(filepath, task) {
+    const key = path.resolve(filepath);
+    const previous = queues.get(key) || Promise.resolve();
+    const result = previous.then(task, task);
+    const settled = result.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+        if (queues.get(key) === settled) queues.delete(key);
+    });
+    return result;
+}
+
+module.exports = {
+    writeJsonFile,
+    serialize
+};
@@ -0,0 +1,135 @@
+/**
+ * In-memory snapshot of server status and VIP lists, refreshed in the background
+ * so HTTP endpoints don't hit CRCON on every request
+ */
+
+const { getConfig } = require('./config');
+
+class StatusCache {
+    constructor(vipManagers, options = {}) {
+        this.vipManagers = vipManagers;
+        this.refreshSeconds = options.refreshSeconds || getConfig().http.statusRefreshSeconds;
+        this.snapshots = new Map();
+        this.inFlight = new Map();
+        // Bumped by invalidate(): fetches that began under an older generation may predate a change
+        this.generations = new Map();
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.refreshAll();
+        this.timer = setInterval(() => this.refreshAll(), this.refreshSeconds * 1000);
+        // Polling alone should not keep the process alive
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async refreshAll() {
+        await Promise.all(this.vipManagers.map(vipManager => this.refresh(vipManager)));
+    }
+
+    generation(vipManager) {
+        return this.generations.get(vipManager.serverName) || 0;
+    }
+
+    /**
+     * Fetch status and VIPs for one server. Concurrent callers share the same fetch, unless
+     * `force` is set or the fetch began before the latest invalidation. A fetch that began
+     * before an invalidation still answers its callers but is not kept as the snapshot.
+     */
+    refresh(vipManager, options = {}) {
+        const name = vipManager.serverName;
+        const generation = this.generation(vipManager);
+        const current = this.inFlight.get(name);
+        if (current && current.generation === generation && !options.force) {
+            return current.promise;
+        }
+
+        const promise = this.fetchSnapshot(vipManager)
+            .then(snapshot => {
+                snapshot.generation = generation;
+                if (generation === this.generation(vipManager)) {
+                    this.snapshots.set(name, snapshot);
+                }
+                return snapshot;
+            })
+            .finally(() => {
+                if (this.inFlight.get(name) === entry) this.inFlight.delete(name);
+            });
+
+        const entry = { promise, generation };
+        this.inFlight.set(name, entry);
+        return promise;
+    }
+
+    async fetchSnapshot(vipManager) {
+        const previous = this.snapshots.get(vipManager.serverName);
+        const connection = await vipManager.testConnection();
+        const snapshot = {
+            connection,
+            vips: previous ? previous.vips : null,
+            analysis: previous ? previous.analysis : null,
+            fetchedAt: new Date(),
+            vipsFetchedAt: previous ? previous.vipsFetchedAt : null,
+            error: connection.connected ? null : connection.error
+        };
+
+        if (connection.connected) {
+            try {
+                const vipList = await vipManager.makeRequest('/api/get_vip_ids');
+                if (!vipList || !Array.isArray(vipList)) {
+                    throw new Error('No VIP data available');
+                }
+                snapshot.vips = vipList;
+                snapshot.analysis = vipManager.summarizeVips(vipList).analysis;
+                snapshot.vipsFetchedAt = snapshot.fetchedAt;
+            } catch (error) {
+                // Keep serving the last known VIP list, flagged by its age
+                snapshot.error = error.message;
+                vipManager.log(`Status refresh failed: ${error.message}`, 'warning');
+            }
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Mark a server's snapshot, and any fetch already under way, as outdated after a change,
+     * so the next read refetches it
+     */
+    invalidate(vipManager) {
+        this.generations.set(vipManager.serverName, this.generation(vipManager) + 1);
+    }
+
+    /**
+     * Return the snapshot for a server, fetching it when forced, missing or invalidated
+     */
+    async get(vipManager, options = {}) {
+        const snapshot = this.snapshots.get(vipManager.serverName);
+        if (options.refresh || !snapshot || snapshot.generation !== this.generation(vipManager)) {
+            return this.refresh(vipManager, { force: options.refresh });
+        }
+        return snapshot;
+    }
+
+    metadata(snapshot) {
+        const ageSeconds = Math.round((Date.now() - snapshot.fetchedAt.getTime()) / 1000);
+        return {
+            fetchedAt: snapshot.fetchedAt.toISOString(),
+            vipsFetchedAt: snapshot.vipsFetchedAt ? snapshot.vipsFetchedAt.toISOString() : null,
+            ageSeconds,
+            refreshSeconds: this.refreshSeconds,
+            stale: ageSeconds > this.refreshSeconds * 2 || snapshot.vipsFetchedAt !== snapshot.fetchedAt,
+            error: snapshot.error
+        };
+    }
+}
+
+module.exports = StatusCache;
@@ -0,0 +1,109 @@
+/**
+ * VIP export - filter described VIPs (see VIPManager.describeVip) and render them
+ * as CSV, JSON or a VIP file CRCON can upload
+ */
+
+const { PLATFORMS } = require('./player-identity');
+
+const VIP_STATUSES = ['permanent', 'active', 'expiringSoon', 'expiringToday', 'expired'];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json', extension: 'json' },
+    crcon: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const CSV_COLUMNS = ['player_id', 'name', 'expiration', 'status', 'days_until_expiry', 'platform', 'description'];
+
+/**
+ * Check filters ({ status: [], platform, expiringWithin, search }) and return the list of problems
+ */
+function validateFilters(filters) {
+    const errors = [];
+    (filters.status || []).filter(value => !VIP_STATUSES.includes(value))
+        .forEach(value => errors.push(`status "${value}" must be one of ${VIP_STATUSES.join(', ')}`));
+    if (filters.platform !== undefined && !PLATFORMS.includes(filters.platform)) {
+        errors.push(`platform must be one of ${PLATFORMS.join(', ')}`);
+    }
+    if (filters.expiringWithin !== undefined && (!Number.isInteger(filters.expiringWithin) || filters.expiringWithin < 0)) {
+        errors.push('expiringWithin must be a whole number of days');
+    }
+    return errors;
+}
+
+function filterVips(vips, filters = {}) {
+    const search = filters.search ? filters.search.toLowerCase() : null;
+    return vips.filter(vip => {
+        if (filters.status && !filters.status.includes(vip.status)) return false;
+        if (filters.platform && vip.platform !== filters.platform) return false;
+        if (filters.expiringWithin !== undefined &&
+            (vip.daysUntilExpiry === null || vip.daysUntilExpiry < 0 || vip.daysUntilExpiry > filters.expiringWithin)) return false;
+        if (search && !`${vip.player_id} ${vip.name} ${vip.description || ''}`.toLowerCase().includes(search)) return false;
+        return true;
+    });
+}
+
+// Spreadsheets run text starting with these as a formula, so player-controlled names are prefixed with '
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Numbers (days until expiry) are data, not formulas
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const renderers = {
+    csv(vips) {
+        // The server column only matters when the export spans several servers
+        const columns = new Set(vips.map(vip => vip.server)).size > 1 ? ['server', ...CSV_COLUMNS] : CSV_COLUMNS;
+        const rows = vips.map(vip => columns.map(column => csvField(
+            column === 'days_until_expiry' ? vip.daysUntilExpiry : vip[column]
+        )).join(','));
+        return `${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+    },
+
+    json(vips) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            count: vips.length,
+            vips: vips.map(vip => ({
+                server: vip.server,
+                player_id: vip.player_id,
+                name: vip.name,
+                expiration: vip.expiration,
+                description: vip.description || null,
+                status: vip.status,
+                daysUntilExpiry: vip.daysUntilExpiry,
+                platform: vip.platform
+            }))
+        }, null, 2);
+    },
+
+    // The download_vips format: "<player_id> <name> <expiration>", "None" for permanent VIP
+    crcon(vips) {
+        return vips.map(vip => `${vip.player_id} ${String(vip.name || vip.player_id).replace(/\s+/g, ' ').trim()} ${vip.expiration || 'None'}`)
+            .join('\n') + '\n';
+    }
+};
+
+/**
+ * Render VIPs in an export format. Returns { content, contentType, extension }.
+ */
+function renderExport(vips, format = 'csv') {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    return { content: renderers[format](vips), ...EXPORT_FORMATS[format] };
+}
+
+module.exports = {
+    VIP_STATUSES,
+    PLATFORMS,
+    EXPORT_FORMATS,
+    validateFilters,
+    filterVips,
+    renderExport
+};
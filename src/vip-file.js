@@ -0,0 +1,146 @@
+/**
+ * VIP file helpers - parse saved VIP backups and compare VIP lists
+ */
+
+const PERMANENT_MARKERS = ['', 'none', 'null', 'permanent', 'never'];
+
+// Matches lines written by VIPManager.formatVipList()
+const FORMATTED_LINE = /^(\S+) # (.*?) \((?:expires: ([^)]+)|permanent)\)(?: - (.*))?$/;
+
+function normalizeExpiration(expiration) {
+    if (expiration === undefined || expiration === null) {
+        return null;
+    }
+    const value = String(expiration).trim();
+    return PERMANENT_MARKERS.includes(value.toLowerCase()) ? null : value;
+}
+
+function expirationTime(expiration) {
+    const value = normalizeExpiration(expiration);
+    if (value === null) return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Sortable expiration: permanent VIP outranks any expiration date
+ */
+function expirationRank(expiration) {
+    const time = expirationTime(expiration);
+    return time === null ? Infinity : time;
+}
+
+function looksLikeTimestamp(token) {
+    return /^\d{4}-\d{2}-\d{2}/.test(token) && !Number.isNaN(Date.parse(token));
+}
+
+/**
+ * Normalize a VIP entry from get_vip_ids or a parsed file to
+ * { player_id, name, expiration, description }
+ */
+function normalizeVip(vip) {
+    const entry = {
+        player_id: String(vip.player_id).trim(),
+        name: vip.name || '',
+        expiration: normalizeExpiration(vip.expiration !== undefined ? vip.expiration : vip.vip_expiration)
+    };
+    if (vip.description !== undefined && vip.description !== null) {
+        entry.description = vip.description;
+    }
+    return entry;
+}
+
+/**
+ * Parse a VIP file in either the raw CRCON download_vips format
+ * ("<player_id> <name> <expiration>") or the formatVipList() format
+ */
+function parseVipFile(content) {
+    const entries = [];
+    const seen = new Set();
+
+    String(content).split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        let entry;
+        const formatted = line.match(FORMATTED_LINE);
+        if (formatted) {
+            entry = {
+                player_id: formatted[1],
+                name: formatted[2],
+                expiration: normalizeExpiration(formatted[3])
+            };
+            if (formatted[4] !== undefined) {
+                entry.description = formatted[4];
+            }
+        } else {
+            const tokens = line.split(/\s+/);
+            const playerId = tokens.shift();
+            let expiration = null;
+            const last = tokens[tokens.length - 1];
+            if (tokens.length > 1 && (looksLikeTimestamp(last) || PERMANENT_MARKERS.includes(last.toLowerCase()))) {
+                expiration = normalizeExpiration(tokens.pop());
+            }
+            entry = { player_id: playerId, name: tokens.join(' '), expiration };
+        }
+
+        // Later lines win, matching how CRCON applies an uploaded file
+        if (seen.has(entry.player_id)) {
+            const index = entries.findIndex(existing => existing.player_id === entry.player_id);
+            entries.splice(index, 1);
+        }
+        seen.add(entry.player_id);
+        entries.push(entry);
+    });
+
+    return entries;
+}
+
+/**
+ * Compare two VIP lists and report added, removed and changed players.
+ * Descriptions are only compared when both sides carry one, since the
+ * raw download_vips format does not include them.
+ */
+function diffVipLists(before, after) {
+    const beforeMap = new Map(before.map(vip => [String(vip.player_id), normalizeVip(vip)]));
+    const afterMap = new Map(after.map(vip => [String(vip.player_id), normalizeVip(vip)]));
+
+    const diff = { added: [], removed: [], changed: [] };
+
+    afterMap.forEach((vip, playerId) => {
+        const previous = beforeMap.get(playerId);
+        if (!previous) {
+            diff.added.push(vip);
+            return;
+        }
+
+        const fields = [];
+        if (expirationTime(previous.expiration) !== expirationTime(vip.expiration)) {
+            fields.push('expiration');
+        }
+        if (previous.description !== undefined && vip.description !== undefined &&
+            previous.description !== vip.description) {
+            fields.push('description');
+        }
+        if (fields.length > 0) {
+            diff.changed.push({ player_id: playerId, name: vip.name || previous.name, fields, before: previous, after: vip });
+        }
+    });
+
+    beforeMap.forEach((vip, playerId) => {
+        if (!afterMap.has(playerId)) {
+            diff.removed.push(vip);
+        }
+    });
+
+    return diff;
+}
+
+module.exports = {
+    normalizeExpiration,
+    expirationTime,
+    expirationRank,
+    normalizeVip,
+    parseVipFile,
+    diffVipLists
+};
@@ -0,0 +1,228 @@
+/**
+ * VIP import - read VIPs from a CSV file or a donation platform export and
+ * plan the changes against the live VIP list, keeping the later expiration
+ */
+
+const fs = require('fs').promises;
+const { normalizeVip, expirationRank } = require('./vip-file');
+const { isPermanent, resolveExpiration } = require('./duration');
+const { findPlayerId } = require('./player-identity');
+
+/**
+ * Column mappings (lower-case header names, first match wins) for the supported exports.
+ * Rows without their own expiration get `duration` from the start date, or from now.
+ */
+const PRESETS = {
+    csv: {
+        columns: {
+            id: ['player_id', 'steam_id', 'steamid', 'id'],
+            name: ['name', 'player_name'],
+            expiration: ['expiration', 'expires', 'expiry'],
+            duration: ['duration'],
+            description: ['description']
+        }
+    },
+    // Patreon members export - the player ID is asked for in a custom question, or kept in the note
+    patreon: {
+        columns: {
+            id: ['steam id', 'steamid', 'player id', 'player_id', 'note', 'additional details'],
+            name: ['name'],
+            expiration: ['next charge date', 'access expiration'],
+            description: ['tier']
+        },
+        include: row => !row['patron status'] || /^active/i.test(row['patron status']),
+        describe: description => `Patreon${description ? ` ${description}` : ''}`
+    },
+    // Ko-fi transactions export - one row per payment, the player ID is expected in the message
+    kofi: {
+        columns: {
+            id: ['steam id', 'steamid', 'player id', 'player_id', 'message'],
+            name: ['from', 'name'],
+            start: ['datetime (utc)', 'datetime', 'date'],
+            description: ['item', 'transactiontype']
+        },
+        duration: '30d',
+        describe: description => `Ko-fi${description ? ` ${description}` : ''}`
+    }
+};
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes) into rows of strings
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = String(content).replace(/^\uFEFF/, '');
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Export dates without a timezone ("2024-01-15 14:32") are UTC
+function parseDate(value) {
+    const text = value.trim().replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2');
+    const time = Date.parse(/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text) ? `${text}Z` : text);
+    return Number.isNaN(time) ? null : new Date(time);
+}
+
+function pick(row, names) {
+    const name = (names || []).find(column => row[column] && row[column].trim());
+    return name ? row[name].trim() : '';
+}
+
+/**
+ * The VIP name for a donor: the player first, then where the VIP came from,
+ * e.g. "Alice (Patreon Gold)", so imported donors can be told apart
+ */
+function donorName(playerName, label) {
+    return playerName ? `${playerName} (${label})` : label;
+}
+
+/**
+ * Turn one row into a VIP entry. Throws with a readable reason for rows that cannot be imported.
+ */
+function readRow(row, preset, options) {
+    const { columns } = preset;
+    const idText = pick(row, columns.id);
+    const playerId = findPlayerId(idText);
+    if (!playerId) {
+        throw new Error(idText ? `no valid player ID in "${idText}"` : 'no player ID');
+    }
+
+    let expiration;
+    const expirationText = pick(row, columns.expiration);
+    const durationText = pick(row, columns.duration) || options.duration || preset.duration;
+    if (expirationText && isPermanent(expirationText)) {
+        expiration = null;
+    } else if (expirationText) {
+        const date = parseDate(expirationText);
+        if (!date) throw new Error(`invalid expiration "${expirationText}"`);
+        expiration = date.toISOString();
+    } else if (durationText) {
+        const startText = pick(row, columns.start);
+        const start = startText ? parseDate(startText) : options.now;
+        if (!start) throw new Error(`invalid date "${startText}"`);
+        expiration = resolveExpiration(durationText, start);
+    } else {
+        throw new Error('no expiration or duration (pass --duration to set one for every row)');
+    }
+
+    const name = pick(row, columns.name);
+    const description = pick(row, columns.description);
+    // Donation presets label the VIP with the platform and tier; `label` lets a name found later be put in front
+    const label = preset.describe ? preset.describe(description) : null;
+    return {
+        player_id: playerId,
+        name: label ? donorName(name, label) : description || name || playerId,
+        playerName: name || null,
+        label,
+        expiration
+    };
+}
+
+/**
+ * Read an import file. Returns { entries, errors, skipped }; rows for the same player
+ * are merged, keeping the later expiration.
+ * @param {object} options - { preset, duration, now }
+ */
+async function readImportFile(file, options = {}) {
+    const preset = PRESETS[options.preset || 'csv'];
+    if (!preset) {
+        throw new Error(`Unknown import preset: ${options.preset} (use ${Object.keys(PRESETS).join(', ')})`);
+    }
+
+    const [header, ...rows] = parseCsv(await fs.readFile(file, 'utf8'));
+    if (!header) {
+        throw new Error(`No rows found in ${file}`);
+    }
+    const names = header.map(name => name.trim().toLowerCase());
+    if (!preset.columns.id.some(column => names.includes(column))) {
+        throw new Error(`No player ID column in ${file} (expected one of: ${preset.columns.id.join(', ')})`);
+    }
+
+    const entries = new Map();
+    const errors = [];
+    let skipped = 0;
+    rows.forEach((cells, index) => {
+        const row = Object.fromEntries(names.map((name, column) => [name, cells[column] || '']));
+        if (preset.include && !preset.include(row)) {
+            skipped++;
+            return;
+        }
+        try {
+            const entry = readRow(row, preset, { duration: options.duration, now: options.now || new Date() });
+            const existing = entries.get(entry.player_id);
+            if (!existing || expirationRank(entry.expiration) > expirationRank(existing.expiration)) {
+                entries.set(entry.player_id, entry);
+            }
+        } catch (error) {
+            // Row numbers as shown in a spreadsheet, counting the header
+            errors.push({ row: index + 2, error: error.message });
+        }
+    });
+
+    return { entries: [...entries.values()], errors, skipped };
+}
+
+/**
+ * Compare imported entries with the live list: new players are added, players whose
+ * live expiration is earlier are updated, and the rest are left alone
+ */
+function buildImportPlan(liveList, entries) {
+    const live = new Map(liveList.map(normalizeVip).map(vip => [vip.player_id, vip]));
+    const plan = { add: [], update: [], unchanged: [] };
+
+    entries.forEach(entry => {
+        const current = live.get(entry.player_id);
+        if (!current) {
+            plan.add.push(entry);
+        } else if (expirationRank(entry.expiration) > expirationRank(current.expiration)) {
+            // Keep the description the VIP already has on the server
+            plan.update.push({ ...entry, name: current.name || entry.name, previousExpiration: current.expiration });
+        } else {
+            plan.unchanged.push({ ...entry, name: current.name || entry.name, expiration: current.expiration });
+        }
+    });
+
+    return plan;
+}
+
+module.exports = {
+    PRESETS,
+    parseCsv,
+    readImportFile,
+    donorName,
+    buildImportPlan
+};
@@ -7,29 +7,104 @@ require('dotenv').config();
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { normalizeVip, parseVipFile, diffVipLists, expirationTime } = require('./vip-file');
+const { parseDuration, resolveExpiration } = require('./duration');
+const { DEFAULT_SERVER, loadServerProfiles, validateServerProfiles, selectServers } = require('./servers');
+const { getConfig, applyConfigArgs, loadConfig, describeConfig } = require('./config');
+const VIPStore = require('./vip-store');
+const { readImportFile, donorName, buildImportPlan } = require('./vip-import');
+const { validateFilters, filterVips, renderExport } = require('./vip-export');
+const { manifestPath, isManifest, sha256, encodeBackup, decodeBackup, formatManifest, parseManifest, verifyBackup } = require('./backup-archive');
+const { createBackupStorage } = require('./backup-storage');
+const { planRetention, describeRetention } = require('./retention');
+const { PLATFORMS, validatePlayerId, classifyPlatform, PlayerDirectory } = require('./player-identity');
+const AlertState = require('./alert-state');
+const CircuitBreaker = require('./circuit-breaker');
+const { CrconError } = require('./errors');
+const { metrics } = require('./metrics');
+const { Logger, addSecret, isJsonFormat } = require('./logger');
+const { NotificationRouter } = require('./notifications');
+
+// Current names are looked up for at most this many alerted players per analysis
+const MAX_NAME_LOOKUPS = 50;
+
+// Expiry alert sections, most severe first
+const SEVERITIES = [
+    { status: 'expired', title: '❌ Expired' },
+    { status: 'expiringToday', title: '🚨 Expiring Today' },
+    { status: 'expiringSoon', title: '⚠️ Expiring Within 7 Days' }
+];
 
 class VIPManager {
-    constructor() {
-        this.baseUrl = process.env.CRCON_BASE_URL || 'http://localhost:8010';
-        this.apiToken = process.env.CRCON_API_TOKEN;
-        this.backupDir = './backups';
-        this.webhookUrl = process.env.DISCORD_WEBHOOK_URL;
-        this.timeout = 15000;
-    }
-
-    log(message, level = 'info') {
-        const timestamp = new Date().toISOString();
-        const prefix = {
-            info: '📋',
-            success: '✅',
-            error: '❌',
-            warning: '⚠️'
-        }[level] || 'ℹ️';
-        
-        console.log(`${timestamp} ${prefix} ${message}`);
+    constructor(options = {}) {
+        const config = getConfig();
+        this.serverName = options.name || config.crcon.serverName || DEFAULT_SERVER;
+        this.baseUrl = options.baseUrl || config.crcon.baseUrl || 'http://localhost:8010';
+        this.apiToken = options.apiToken || config.crcon.apiToken;
+        this.backupDir = options.backupDir || './backups';
+        this.changelogFile = 'vip_changelog.jsonl';
+        this.backupCompress = config.backup.compress;
+        this.backupEncryptionKey = config.backup.encryptionKey;
+        this.timeout = config.crcon.timeoutMs;
+        this.retries = config.crcon.retries;
+        this.retryBaseDelayMs = config.crcon.retryBaseMs;
+        this.retryMaxDelayMs = config.crcon.retryMaxMs;
+        this.circuit = new CircuitBreaker({
+            failureThreshold: config.crcon.circuitThreshold,
+            resetSeconds: config.crcon.circuitResetSeconds
+        });
+        this.logger = new Logger('manager', {
+            label: this.isLabelled() ? this.serverName : null,
+            infoIcon: '📋',
+            fields: { server: this.serverName }
+        });
+        addSecret(this.apiToken);
+        addSecret(this.backupEncryptionKey);
+        // Each server keeps its backups under its own S3 prefix, as it does in its own directory
+        this.storage = options.storage || createBackupStorage(config.backup, {
+            dir: this.backupDir,
+            prefix: this.isLabelled() ? `${config.backup.s3.prefix}/${this.serverName}` : config.backup.s3.prefix,
+            warn: message => this.log(message, 'warning')
+        });
+        this.retention = {
+            vip: { days: config.backup.retentionDays, weeks: config.backup.retentionWeeks, months: config.backup.retentionMonths },
+            analysis: { days: config.backup.reportRetentionDays, weeks: config.backup.reportRetentionWeeks, months: config.backup.reportRetentionMonths }
+        };
+        this.timezone = config.timezone;
+        addSecret(config.backup.s3.accessKeyId);
+        addSecret(config.backup.s3.secretAccessKey);
+        this.notifications = new NotificationRouter({ ...config.notifications, discordWebhookUrl: config.discord.webhookUrl }, {
+            log: (message, level) => this.log(message, level),
+            server: this.serverName
+        });
+        this.notifications.channels.forEach(channel => {
+            addSecret(channel.url);
+            addSecret(typeof channel.smtp === 'string' ? channel.smtp : channel.smtp && channel.smtp.auth && channel.smtp.auth.pass);
+        });
+        this.players = new PlayerDirectory((...args) => this.makeRequest(...args), {
+            log: (message, level) => this.log(message, level)
+        });
+        this.store = options.store || new VIPStore();
+        this.alertState = options.alertState || new AlertState();
+        this.actor = config.history.actor || process.env.USER || null;
+    }
+
+    log(message, level = 'info', fields = {}) {
+        this.logger.log(message, level, fields);
+    }
+
+    // Single-server setups keep their original, unlabelled output
+    isLabelled() {
+        return this.serverName !== DEFAULT_SERVER;
     }
 
-    async makeRequest(endpoint, method = 'GET', data = null) {
+    /**
+     * @param {object} options - { circuit: false } for health checks and other side calls, which neither
+     * wait for nor count towards the circuit breaker, so they cannot open or close it for the real calls;
+     * { retries } to override how often a GET is retried
+     */
+    async makeRequest(endpoint, method = 'GET', data = null, options = {}) {
+        const guarded = options.circuit !== false;
         if (!this.apiToken) {
             throw new Error('CRCON_API_TOKEN is required for bot authentication');
         }
@@ -44,66 +119,149 @@ class VIPManager {
             timeout: this.timeout
         };
 
-        if (method === 'POST' && data) {
-            config.data = data;
-        } else if (method === 'GET' && data) {
-            const params = new URLSearchParams(data);
-            config.url += `?${params.toString()}`;
+        if (method === 'GET' && data) {
+            const params = new URLSearchParams();
+            Object.entries(data).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) {
+                    params.append(key, value);
+                }
+            });
+            const query = params.toString();
+            if (query) config.url += `?${query}`;
+        } else if (method !== 'GET') {
+            // CRCON endpoints expect a JSON object body, even when empty
+            config.data = data || {};
         }
 
+        const labels = { server: this.serverName, method, endpoint };
+        const startedAt = Date.now();
         try {
-            this.log(`Making ${method} request to ${endpoint}`, 'info');
-            const response = await axios(config);
-            
-            // Handle CRCON response format
-            if (response.data && typeof response.data === 'object' && 'result' in response.data) {
-                if (response.data.failed) {
-                    throw new Error(response.data.error || 'CRCON request failed');
+            if (guarded && !this.circuit.canRequest()) {
+                throw new CrconError('server',
+                    `CRCON is unavailable after repeated failures - requests paused until ${this.circuit.retryAt.toISOString()}`,
+                    { retryable: false });
+            }
+
+            // Only reads are retried - a retried write could be applied twice
+            const retries = options.retries !== undefined ? options.retries : method === 'GET' ? this.retries : 0;
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const result = await this.sendRequest(config, endpoint);
+                    if (guarded) this.circuit.recordSuccess();
+                    this.log(`${method} ${endpoint} completed`, 'debug', { durationMs: Date.now() - startedAt });
+                    return result;
+                } catch (error) {
+                    const delay = this.retryDelay(error, attempt);
+                    if (attempt >= retries || delay === null) {
+                        throw error;
+                    }
+                    this.log(`${method} ${endpoint} failed (${error.message}) - retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`, 'warning');
+                    metrics.crconRetries.inc(labels);
+                    await new Promise(resolve => setTimeout(resolve, delay));
                 }
-                return response.data.result;
             }
-            
-            return response.data;
         } catch (error) {
-            if (error.response?.status === 401) {
-                throw new Error('API token authentication failed - check your CRCON_API_TOKEN');
-            }
-            if (error.response?.status === 403) {
-                throw new Error('API token does not have required permissions');
+            metrics.crconRequestErrors.inc({ ...labels, kind: error.kind || 'server' });
+            this.log(`${method} ${endpoint} failed: ${error.message}`, 'debug', { durationMs: Date.now() - startedAt, kind: error.kind });
+            // CRCON answered auth and validation errors, so only unreachable or failing servers trip the breaker
+            if (guarded && error.retryable) {
+                if (this.circuit.recordFailure()) {
+                    this.log(`CRCON circuit opened after ${this.circuit.failures} failed requests - pausing requests for ${this.circuit.resetTimeoutMs / 1000}s`, 'error');
+                }
+            } else if (guarded && error.statusCode !== null) {
+                this.circuit.recordSuccess();
             }
-            if (error.response?.data?.error) {
-                throw new Error(`CRCON error: ${error.response.data.error}`);
+            throw error;
+        } finally {
+            metrics.crconRequestDuration.observe(labels, (Date.now() - startedAt) / 1000);
+        }
+    }
+
+    /**
+     * Send one request and unwrap CRCON's { result, failed, error } envelope.
+     * Throws a CrconError classified as auth, permission, timeout or server.
+     */
+    async sendRequest(config, endpoint) {
+        let response;
+        try {
+            this.log(`Making ${config.method} request to ${endpoint}`, 'debug');
+            response = await axios(config);
+        } catch (error) {
+            throw this.classifyError(error);
+        }
+
+        // Handle CRCON response format
+        if (response.data && typeof response.data === 'object' && 'result' in response.data) {
+            if (response.data.failed) {
+                throw new CrconError('server', `CRCON error: ${response.data.error || 'request failed'}`,
+                    { statusCode: response.status, retryable: false });
             }
-            throw new Error(`Request failed: ${error.message}`);
+            return response.data.result;
         }
+
+        return response.data;
     }
 
-    async sendDiscordNotification(title, description, color = 0x00D4FF) {
-        if (!this.webhookUrl) {
-            this.log('No Discord webhook configured, skipping notification', 'info');
-            return;
+    classifyError(error) {
+        const status = error.response?.status;
+        if (status === 401) {
+            return new CrconError('auth', 'API token authentication failed - check your CRCON_API_TOKEN', { statusCode: status });
+        }
+        if (status === 403) {
+            return new CrconError('permission', 'API token does not have required permissions', { statusCode: status });
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new CrconError('timeout', error.message);
         }
 
-        try {
-            await axios.post(this.webhookUrl, {
-                embeds: [{
-                    title: `🎖️ ${title}`,
-                    description: description,
-                    color: color,
-                    timestamp: new Date().toISOString(),
-                    footer: { text: 'VIP Manager System' }
-                }]
-            });
-            this.log('Discord notification sent successfully', 'success');
-        } catch (error) {
-            this.log(`Failed to send Discord notification: ${error.message}`, 'warning');
+        if (!error.response) {
+            // Connection refused or reset - usually CRCON restarting on a map change
+            return new CrconError('server', error.message);
+        }
+        const message = error.response.data?.error ? `CRCON error: ${error.response.data.error}` : `CRCON returned HTTP ${status}`;
+        return new CrconError('server', message, {
+            statusCode: status,
+            retryable: status === 429 || status >= 500,
+            retryAfterMs: this.parseRetryAfter(error.response.headers?.['retry-after'])
+        });
+    }
+
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+        return Number.isFinite(ms) ? Math.max(0, ms) : null;
+    }
+
+    /**
+     * Jittered exponential backoff, or the server's Retry-After. Null means don't retry.
+     */
+    retryDelay(error, attempt) {
+        if (!error.retryable) return null;
+
+        const backoff = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+        const delay = backoff / 2 + Math.random() * backoff / 2;
+        if (error.retryAfterMs !== null) {
+            // A server asking us to wait longer than we would ever back off is better left alone
+            return error.retryAfterMs > this.retryMaxDelayMs ? null : Math.max(delay, error.retryAfterMs);
         }
+        return delay;
+    }
+
+    /**
+     * Send a notification for an event to the channels routed for it (see notifications.js)
+     */
+    async notify(event, title, description, color, extras = {}) {
+        return this.notifications.send(event, title, description, color, {
+            ...extras,
+            label: this.isLabelled() ? this.serverName : null
+        });
     }
 
     async testConnection() {
         try {
             this.log('Testing CRCON connection...');
-            const status = await this.makeRequest('/api/get_status');
+            const status = await this.makeRequest('/api/get_status', 'GET', null, { circuit: false });
             
             if (status) {
                 const serverName = status.name || 'Unknown Server';
@@ -129,6 +287,7 @@ class VIPManager {
             
             // Try the download endpoint first
             let vipData;
+            let source = 'download_vips';
             try {
                 vipData = await this.makeRequest('/api/download_vips');
                 this.log('VIP file downloaded via download_vips endpoint', 'success');
@@ -138,6 +297,8 @@ class VIPManager {
                 const vipList = await this.makeRequest('/api/get_vip_ids');
                 if (vipList && Array.isArray(vipList)) {
                     vipData = this.formatVipList(vipList);
+                    this.checkFormattedList(vipList, vipData);
+                    source = 'get_vip_ids';
                     this.log('VIP list retrieved and formatted', 'success');
                 } else {
                     throw new Error('No VIP data available from either endpoint');
@@ -148,30 +309,59 @@ class VIPManager {
                 throw new Error('No VIP file data received');
             }
 
-            // Ensure backup directory exists
-            await fs.mkdir(this.backupDir, { recursive: true });
-
-            // Save with timestamp
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `vip_file_${timestamp}.txt`;
-            const filepath = path.join(this.backupDir, filename);
+            // Save with timestamp, compressed and encrypted as configured
+            const now = new Date();
+            const timestamp = now.toISOString().replace(/[:.]/g, '-');
+            const stored = await encodeBackup(vipData, { compress: this.backupCompress, encryptionKey: this.backupEncryptionKey });
+            const filename = `vip_file_${timestamp}.txt${stored.extension}`;
+            const filepath = this.storage.location(filename);
 
-            await fs.writeFile(filepath, vipData);
+            // The manifest is written last, so a backup without one was interrupted.
+            // In mirror mode a write succeeds when one side has it; the other side's failures are alerted below.
+            const mirrorFailures = [];
+            mirrorFailures.push(...(await this.storage.write(filename, stored.data) || []));
+            const manifest = {
+                file: filename,
+                server: this.serverName,
+                timestamp: now.toISOString(),
+                source,
+                entryCount: parseVipFile(vipData).length,
+                size: stored.data.length,
+                sha256: sha256(stored.data),
+                contentSha256: sha256(vipData),
+                compression: stored.compression,
+                encryption: stored.encryption
+            };
+            mirrorFailures.push(...(await this.storage.write(manifestPath(filename), formatManifest(manifest)) || []));
 
             this.log(`VIP file saved: ${filename}`, 'success');
             this.log(`File path: ${filepath}`, 'info');
-            this.log(`File size: ${vipData.length} bytes`, 'info');
+            this.log(`File size: ${stored.data.length} bytes, ${manifest.entryCount} VIPs via ${source}`, 'info');
+            metrics.backupLastSuccess.set({ server: this.serverName }, Math.floor(Date.now() / 1000));
+            metrics.backupLastSize.set({ server: this.serverName }, stored.data.length);
 
-            await this.sendDiscordNotification(
+            await this.notify(
+                'backup.success',
                 'VIP File Downloaded',
-                `✅ VIP file backed up successfully\n📁 **File:** ${filename}\n📊 **Size:** ${vipData.length} bytes`,
+                `✅ VIP file backed up successfully\n📁 **File:** ${filename}\n📊 **Size:** ${stored.data.length} bytes (${manifest.entryCount} VIPs)` +
+                (stored.encryption ? '\n🔒 Encrypted' : ''),
                 0x00FF00
             );
+            if (mirrorFailures.length > 0) {
+                await this.notify(
+                    'backup.failure',
+                    'Backup Mirror Incomplete',
+                    `⚠️ ${filename} was saved, but not to every backend:\n${mirrorFailures.map(failure => `• ${failure}`).join('\n')}`,
+                    0xFF8C00
+                );
+            }
 
-            return { filepath, filename, size: vipData.length };
+            return { filepath, filename, size: stored.data.length, manifest };
         } catch (error) {
             this.log(`Download failed: ${error.message}`, 'error');
-            await this.sendDiscordNotification(
+            metrics.backupFailures.inc({ server: this.serverName });
+            await this.notify(
+                'backup.failure',
                 'VIP Download Failed',
                 `❌ ${error.message}`,
                 0xFF0000
@@ -180,15 +370,28 @@ class VIPManager {
         }
     }
 
+    /**
+     * Make sure a formatted VIP list reads back with every VIP and expiration, so the manifest
+     * never vouches for a backup that would restore time-limited VIPs as permanent
+     */
+    checkFormattedList(vipList, vipData) {
+        const written = new Map(parseVipFile(vipData).map(entry => [entry.player_id, entry]));
+        const lost = vipList.map(normalizeVip).filter(vip => !written.has(vip.player_id) ||
+            expirationTime(written.get(vip.player_id).expiration) !== expirationTime(vip.expiration));
+        if (lost.length > 0) {
+            throw new Error(`Formatted VIP list does not match get_vip_ids for ${lost.length} VIPs ` +
+                `(e.g. ${lost[0].player_id}, expiration ${lost[0].expiration || 'permanent'})`);
+        }
+    }
+
     formatVipList(vipList) {
         let formatted = `# VIP File Generated ${new Date().toISOString()}\n`;
         formatted += `# Total VIPs: ${vipList.length}\n`;
         formatted += `# Format: STEAM_ID_64 # Player_Name (expiration)\n\n`;
 
-        vipList.forEach(vip => {
-            const expiration = vip.expiration && vip.expiration !== 'None' 
-                ? ` (expires: ${vip.expiration})` 
-                : ' (permanent)';
+        // get_vip_ids returns vip_expiration - normalizeVip reads either field
+        vipList.map(normalizeVip).forEach(vip => {
+            const expiration = vip.expiration !== null ? ` (expires: ${vip.expiration})` : ' (permanent)';
             const description = vip.description ? ` - ${vip.description}` : '';
             formatted += `${vip.player_id} # ${vip.name}${expiration}${description}\n`;
         });
@@ -196,6 +399,120 @@ class VIPManager {
         return formatted;
     }
 
+    /**
+     * Normalize a VIP entry and add its platform, days until expiry and status
+     * (permanent, expired, expiringToday, expiringSoon or active)
+     */
+    describeVip(vip, now = new Date()) {
+        const entry = normalizeVip(vip);
+        const details = { ...entry, platform: classifyPlatform(entry.player_id), daysUntilExpiry: null, status: 'permanent' };
+
+        if (entry.expiration !== null) {
+            const daysUntilExpiry = Math.ceil((new Date(entry.expiration) - now) / (1000 * 60 * 60 * 24));
+            details.daysUntilExpiry = daysUntilExpiry;
+            if (daysUntilExpiry < 0) {
+                details.status = 'expired';
+            } else if (daysUntilExpiry === 0) {
+                details.status = 'expiringToday';
+            } else if (daysUntilExpiry <= 7) {
+                details.status = 'expiringSoon';
+            } else {
+                details.status = 'active';
+            }
+        }
+
+        return details;
+    }
+
+    async listBackups() {
+        const files = await this.storage.list();
+        return files
+            .filter(file => !isManifest(file.name))
+            .sort((a, b) => (a.name < b.name ? 1 : -1))
+            .map(file => ({
+                name: file.name,
+                type: file.name.startsWith('vip_file_') ? 'vip' : file.name.startsWith('vip_analysis_') ? 'analysis' : 'other',
+                size: file.size,
+                modified: file.modified
+            }));
+    }
+
+    /**
+     * Count VIPs by expiration status and platform, without writing reports or alerting
+     */
+    summarizeVips(vipList, now = new Date()) {
+        const analysis = {
+            total: vipList.length,
+            permanent: 0,
+            temporary: 0,
+            expired: 0,
+            expiringSoon: 0,
+            expiringToday: 0,
+            platforms: Object.fromEntries(PLATFORMS.map(platform => [platform, 0]))
+        };
+
+        // VIPs needing attention, by severity
+        const groups = { expired: [], expiringToday: [], expiringSoon: [] };
+
+        vipList.forEach(vip => {
+            const details = this.describeVip(vip, now);
+            analysis.platforms[details.platform]++;
+
+            // Expiration analysis
+            if (details.status === 'permanent') {
+                analysis.permanent++;
+                return;
+            }
+
+            analysis.temporary++;
+            if (groups[details.status]) {
+                analysis[details.status]++;
+                groups[details.status].push(details);
+            }
+        });
+
+        return { analysis, groups };
+    }
+
+    /**
+     * Add the name each alerted player currently goes by (playerName), most urgent first
+     */
+    async resolveAlertNames(groups) {
+        const alerted = ['expiringToday', 'expiringSoon', 'expired'].flatMap(status => groups[status]);
+        const names = await this.players.resolveNames(alerted.slice(0, MAX_NAME_LOOKUPS).map(details => details.player_id));
+        alerted.forEach(details => {
+            details.playerName = names.get(details.player_id) || null;
+        });
+    }
+
+    /**
+     * One line per VIP needing attention: name, player ID, when it expires and the description
+     */
+    formatAlert(details) {
+        const when = details.status === 'expired' ? `expired ${Math.abs(details.daysUntilExpiry)} days ago`
+            : details.status === 'expiringToday' ? 'expires TODAY'
+            : `expires in ${details.daysUntilExpiry} days`;
+        const playsAs = details.playerName && details.playerName !== details.name ? `, plays as ${details.playerName}` : '';
+        return `**${details.name || 'Unknown player'}** (\`${details.player_id}\`${playsAs}) ${when}` +
+            (details.description ? ` - ${details.description}` : '');
+    }
+
+    printAnalysis(analysis) {
+        console.log(`\n📊 VIP Analysis Report${this.isLabelled() ? ` - ${this.serverName}` : ''}`);
+        console.log('========================');
+        console.log(`👥 Total VIPs: ${analysis.total}`);
+        console.log(`🔒 Permanent: ${analysis.permanent}`);
+        console.log(`⏱️ Temporary: ${analysis.temporary}`);
+        console.log(`❌ Expired: ${analysis.expired}`);
+        console.log(`⚠️ Expiring Soon (≤7 days): ${analysis.expiringSoon}`);
+        console.log(`🚨 Expiring Today: ${analysis.expiringToday}`);
+        console.log(`💻 Steam Players: ${analysis.platforms.steam}`);
+        console.log(`🎮 Non-Steam Players (Epic, Microsoft Store, Xbox, PlayStation): ${analysis.platforms.nonSteam}`);
+        if (analysis.platforms.unknown > 0) {
+            console.log(`❓ Unrecognized Player IDs: ${analysis.platforms.unknown}`);
+        }
+    }
+
     async analyzeVips() {
         try {
             this.log('Analyzing VIP data...');
@@ -205,70 +522,24 @@ class VIPManager {
                 throw new Error('No VIP data available');
             }
 
-            const now = new Date();
-            const analysis = {
-                total: vipList.length,
-                permanent: 0,
-                temporary: 0,
-                expired: 0,
-                expiringSoon: 0,
-                expiringToday: 0,
-                platforms: { pc: 0, console: 0, unknown: 0 }
-            };
-
-            const alerts = [];
-
-            vipList.forEach(vip => {
-                // Platform detection
-                if (vip.player_id.startsWith('76561198')) {
-                    analysis.platforms.pc++;
-                } else if (vip.player_id.startsWith('11000') || vip.player_id.startsWith('76561199')) {
-                    analysis.platforms.console++;
-                } else {
-                    analysis.platforms.unknown++;
-                }
+            await this.recordHistory(() => this.store.recordObservation(this.serverName, vipList));
 
-                // Expiration analysis
-                if (!vip.expiration || vip.expiration === 'None') {
-                    analysis.permanent++;
-                } else {
-                    analysis.temporary++;
-                    const expDate = new Date(vip.expiration);
-                    const daysUntilExpiry = Math.ceil((expDate - now) / (1000 * 60 * 60 * 24));
-
-                    if (daysUntilExpiry < 0) {
-                        analysis.expired++;
-                        alerts.push(`❌ **${vip.name}** expired ${Math.abs(daysUntilExpiry)} days ago`);
-                    } else if (daysUntilExpiry === 0) {
-                        analysis.expiringToday++;
-                        alerts.push(`🚨 **${vip.name}** expires TODAY`);
-                    } else if (daysUntilExpiry <= 7) {
-                        analysis.expiringSoon++;
-                        alerts.push(`⚠️ **${vip.name}** expires in ${daysUntilExpiry} days`);
-                    }
-                }
-            });
+            const { analysis, groups } = this.summarizeVips(vipList);
+            await this.resolveAlertNames(groups);
 
             // Display analysis
-            console.log('\n📊 VIP Analysis Report');
-            console.log('========================');
-            console.log(`👥 Total VIPs: ${analysis.total}`);
-            console.log(`🔒 Permanent: ${analysis.permanent}`);
-            console.log(`⏱️ Temporary: ${analysis.temporary}`);
-            console.log(`❌ Expired: ${analysis.expired}`);
-            console.log(`⚠️ Expiring Soon (≤7 days): ${analysis.expiringSoon}`);
-            console.log(`🚨 Expiring Today: ${analysis.expiringToday}`);
-            console.log(`💻 PC Players: ${analysis.platforms.pc}`);
-            console.log(`🎮 Console Players: ${analysis.platforms.console}`);
-            if (analysis.platforms.unknown > 0) {
-                console.log(`❓ Unknown Platform: ${analysis.platforms.unknown}`);
+            if (isJsonFormat()) {
+                this.log('VIP analysis completed', 'info', { analysis });
+            } else {
+                this.printAnalysis(analysis);
             }
 
             // Save analysis report
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const reportPath = path.join(this.backupDir, `vip_analysis_${timestamp}.txt`);
+            const reportName = `vip_analysis_${timestamp}.txt`;
             
             let reportContent = `VIP Analysis Report - ${new Date().toISOString()}\n`;
+            if (this.isLabelled()) reportContent += `Server: ${this.serverName}\n`;
             reportContent += `Total VIPs: ${analysis.total}\n`;
             reportContent += `Permanent: ${analysis.permanent}\n`;
             reportContent += `Temporary: ${analysis.temporary}\n`;
@@ -276,23 +547,16 @@ class VIPManager {
             reportContent += `Expiring Soon: ${analysis.expiringSoon}\n`;
             reportContent += `Expiring Today: ${analysis.expiringToday}\n\n`;
             
-            if (alerts.length > 0) {
-                reportContent += 'ALERTS:\n';
-                alerts.forEach(alert => reportContent += `${alert}\n`);
-            }
+            SEVERITIES.filter(({ status }) => groups[status].length > 0).forEach(({ status, title }) => {
+                reportContent += `${title.replace(/^\S+\s/, '').toUpperCase()} (${groups[status].length}):\n`;
+                groups[status].forEach(details => reportContent += `  ${this.formatAlert(details).replace(/\*\*|`/g, '')}\n`);
+                reportContent += '\n';
+            });
 
-            await fs.mkdir(this.backupDir, { recursive: true });
-            await fs.writeFile(reportPath, reportContent);
+            await this.storage.write(reportName, reportContent);
 
-            // Send Discord notification for critical issues
-            if (analysis.expired > 0 || analysis.expiringToday > 0 || analysis.expiringSoon > 0) {
-                let notification = `📊 **VIP Status Alert**\n`;
-                if (analysis.expiringToday > 0) notification += `🚨 ${analysis.expiringToday} expire TODAY\n`;
-                if (analysis.expiringSoon > 0) notification += `⚠️ ${analysis.expiringSoon} expire within 7 days\n`;
-                if (analysis.expired > 0) notification += `❌ ${analysis.expired} already expired\n`;
-                
-                await this.sendDiscordNotification('VIP Status Alert', notification, 0xFF8C00);
-            }
+            // Notify about critical issues - only when they change, or as a reminder
+            await this.alertExpiries({ analysis, groups }, { filename: reportName, content: reportContent });
 
             return analysis;
         } catch (error) {
@@ -301,117 +565,1070 @@ class VIPManager {
         }
     }
 
-    async cleanupOldBackups(keepDays = 30) {
+    /**
+     * Send the expiry alert when a VIP newly expires or gets closer to expiring,
+     * or as a reminder while VIPs stay expired or expiring. Affected players are
+     * listed by severity, with the full report attached.
+     */
+    async alertExpiries({ analysis, groups }, report = null, now = new Date()) {
+        const items = {};
+        SEVERITIES.forEach(({ status }) => groups[status].forEach(details => { items[details.player_id] = status; }));
+
+        const { reason, changed, quiet } = await this.alertState.evaluate(this.serverName, 'expiry', items, now);
+        if (quiet) {
+            this.log('Expiry alert held back during quiet hours');
+            return;
+        }
+        if (reason === 'resolved') {
+            await this.alertState.record(this.serverName, 'expiry', {}, now);
+            return;
+        }
+        if (!reason) return;
+
+        let notification = reason === 'reminder' ? '🔁 **Reminder - still unresolved**\n' : '📊 **VIP Status Alert**\n';
+        if (analysis.expiringToday > 0) notification += `🚨 ${analysis.expiringToday} expire TODAY\n`;
+        if (analysis.expiringSoon > 0) notification += `⚠️ ${analysis.expiringSoon} expire within 7 days\n`;
+        if (analysis.expired > 0) notification += `❌ ${analysis.expired} already expired\n`;
+        if (reason === 'new') notification += `🆕 ${changed.length} new since the last alert\n`;
+
+        const sections = SEVERITIES.filter(({ status }) => groups[status].length > 0).map(({ status, title }) => ({
+            name: `${title} (${groups[status].length})`,
+            lines: groups[status].map(details => `${changed.includes(details.player_id) ? '🆕 ' : ''}${this.formatAlert(details)}`)
+        }));
+
+        const { sent, failed } = await this.notify('expiry.alert', 'VIP Status Alert', notification, 0xFF8C00, {
+            sections,
+            attachment: report
+        });
+        if (sent > 0 || failed === 0) {
+            await this.alertState.record(this.serverName, 'expiry', items, now);
+        }
+    }
+
+    /**
+     * Send the health alert when checks start failing and once they recover,
+     * with reminders while they keep failing. Pass null when the check succeeded.
+     */
+    async alertHealth(error, now = new Date()) {
+        const items = error ? { health: 'failing' } : {};
+        const { reason, quiet } = await this.alertState.evaluate(this.serverName, 'health', items, now);
+        if (quiet) {
+            this.log('Health alert held back during quiet hours');
+            return;
+        }
+        if (!reason) return;
+
+        const previous = await this.alertState.get(this.serverName, 'health');
+        const { sent, failed } = reason === 'resolved'
+            ? await this.notify(
+                'health.recovery',
+                'Health Check Recovered',
+                `✅ VIP health check is passing again${previous.since ? ` (failing since ${previous.since})` : ''}`,
+                0x00FF00
+            )
+            : await this.notify(
+                'health.failure',
+                'Health Check Failed',
+                `${reason === 'reminder' ? '🔁 **Still failing**\n' : ''}❌ VIP health check failed: ${error.message}`,
+                0xFF0000
+            );
+        if (sent > 0 || failed === 0) {
+            await this.alertState.record(this.serverName, 'health', items, now);
+        }
+    }
+
+    /**
+     * Prune VIP snapshots and analysis reports with the grandfather-father-son policy, each kind
+     * separately and on each storage backend. The newest VIP snapshot that passes verification
+     * is always kept. Returns { deleted, kept } file counts; with dryRun, only lists what would go.
+     */
+    async cleanupOldBackups(options = {}) {
+        const { dryRun = false, now = new Date() } = options;
         try {
-            this.log(`Cleaning up backups older than ${keepDays} days...`);
-            
-            const files = await fs.readdir(this.backupDir).catch(() => []);
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - keepDays);
+            this.log(`Cleaning up backups (VIP snapshots: ${describeRetention(this.retention.vip)}; ` +
+                `reports: ${describeRetention(this.retention.analysis)})${dryRun ? ' - dry run' : ''}...`);
 
             let deletedCount = 0;
+            let keptCount = 0;
 
-            for (const file of files) {
-                const filepath = path.join(this.backupDir, file);
+            // Retention runs on each backend's own listing, so a mirror catches up on files only one side kept
+            for (const backend of this.storage.backends) {
+                const where = this.storage.backends.length > 1 ? ` from ${backend.name}` : '';
+                let files;
                 try {
-                    const stats = await fs.stat(filepath);
-                    
-                    if (stats.mtime < cutoffDate) {
-                        await fs.unlink(filepath);
-                        deletedCount++;
-                        this.log(`Deleted old backup: ${file}`);
-                    }
+                    files = await backend.list();
                 } catch (error) {
-                    // Skip files we can't access
+                    this.log(`Cannot list backups${where}: ${error.message}`, 'warning');
                     continue;
                 }
+
+                const backups = files.filter(file => !isManifest(file.name));
+                const plans = Object.entries(this.retention).map(([type, policy]) => planRetention(
+                    backups.filter(file => file.name.startsWith(type === 'vip' ? 'vip_file_' : 'vip_analysis_')),
+                    policy,
+                    { now, timezone: this.timezone }
+                ));
+                await this.protectKnownGood(plans[0], backend);
+
+                // Manifests go with their backup; orphaned ones are removed on their own
+                const orphans = files.filter(file => isManifest(file.name) && !files.some(other => manifestPath(other.name) === file.name));
+                const doomed = [...plans.flatMap(plan => plan.remove), ...orphans];
+                keptCount += plans.reduce((count, plan) => count + plan.keep.length, 0);
+                if (dryRun) {
+                    plans.flatMap(plan => plan.keep).forEach(file => console.log(`  ✅ ${file.name}${where} - ${file.reasons.join(', ')}`));
+                }
+
+                for (const file of doomed) {
+                    if (dryRun) {
+                        console.log(`  🗑️ ${file.name}${where}`);
+                        deletedCount++;
+                        continue;
+                    }
+                    try {
+                        await backend.remove(file.name);
+                        if (!isManifest(file.name)) await backend.remove(manifestPath(file.name));
+                        deletedCount++;
+                        metrics.cleanupDeleted.inc({ server: this.serverName });
+                        this.log(`Deleted old backup${where}: ${file.name}`);
+                    } catch (error) {
+                        this.log(`Cannot delete ${file.name}${where}: ${error.message}`, 'warning');
+                    }
+                }
             }
 
-            this.log(`Cleanup complete: ${deletedCount} files removed`, 'success');
-            return deletedCount;
+            this.log(dryRun
+                ? `Dry run: ${deletedCount} files would be removed, ${keptCount} kept`
+                : `Cleanup complete: ${deletedCount} files removed, ${keptCount} kept`, 'success');
+            return { deleted: deletedCount, kept: keptCount };
         } catch (error) {
             this.log(`Cleanup failed: ${error.message}`, 'error');
-            return 0;
+            return { deleted: 0, kept: 0 };
         }
     }
+
+    /**
+     * Move the newest VIP snapshot that is not known to be damaged into the kept list of a
+     * retention plan, so a run of failed or corrupt backups can never prune the last good one
+     */
+    async protectKnownGood(plan, storage) {
+        const snapshots = [...plan.keep, ...plan.remove].sort((a, b) => b.time - a.time);
+        for (const snapshot of snapshots) {
+            const result = await this.checkBackup(snapshot.name, storage);
+            if (result.status === 'failed') continue;
+
+            const index = plan.remove.indexOf(snapshot);
+            if (index !== -1) {
+                plan.remove.splice(index, 1);
+                plan.keep.push({ ...snapshot, reasons: ['last known-good'] });
+                this.log(`Keeping ${snapshot.name}: it is the last known-good VIP snapshot`, 'warning');
+            }
+            return;
+        }
+    }
+
+    /**
+     * Add or update a VIP on CRCON and record it in the local history.
+     * `history` is { source, actor } describing who made the change and how.
+     */
+    async addVip(playerId, description, expiration = null, history = {}) {
+        const result = await this.makeRequest('/api/add_vip', 'POST', {
+            player_id: playerId,
+            description,
+            expiration
+        });
+        await this.recordHistory(() => this.store.recordChange(
+            this.serverName,
+            { player_id: playerId, name: description, expiration },
+            { source: history.source, actor: history.actor || this.actor }
+        ));
+        return result;
+    }
+
+    async removeVip(playerId, history = {}) {
+        const result = await this.makeRequest('/api/remove_vip', 'POST', { player_id: playerId });
+        await this.recordHistory(() => this.store.recordRemoval(
+            this.serverName,
+            playerId,
+            { source: history.source, actor: history.actor || this.actor }
+        ));
+        return result;
+    }
+
+    // History is best effort - a full disk must not fail a VIP change that already happened
+    async recordHistory(write) {
+        try {
+            await write();
+        } catch (error) {
+            this.log(`Failed to record VIP history: ${error.message}`, 'warning');
+        }
+    }
+
+    async findVip(playerId) {
+        const vipList = await this.makeRequest('/api/get_vip_ids');
+        if (!vipList || !Array.isArray(vipList)) {
+            throw new Error('No VIP data available');
+        }
+        const vip = vipList.find(entry => String(entry.player_id).trim().toLowerCase() === playerId.toLowerCase());
+        return vip ? normalizeVip(vip) : null;
+    }
+
+    async grantVip(playerId, durationOrDate, description = null, options = {}) {
+        const { notify = true, actor } = options;
+        const id = validatePlayerId(playerId);
+        const expiration = resolveExpiration(durationOrDate);
+        const name = await this.players.resolveName(id);
+        const vipDescription = description || name || id;
+
+        await this.addVip(id, vipDescription, expiration, { source: options.source || 'grant', actor });
+        this.log(`Granted VIP to ${name || id} until ${expiration || 'permanent'}`, 'success');
+
+        if (notify) {
+            await this.notify(
+                'vip.change',
+                'VIP Granted',
+                `🎖️ **${name || 'Unknown player'}** (${id})\n⏰ **Expires:** ${expiration || 'Never (permanent)'}\n📝 **Description:** ${vipDescription}` +
+                ((actor || this.actor) ? `\n👤 **By:** ${actor || this.actor}` : ''),
+                0x00FF00
+            );
+        }
+
+        return { player_id: id, name, description: vipDescription, expiration };
+    }
+
+    async extendVip(playerId, duration, options = {}) {
+        const { notify = true, actor } = options;
+        const id = validatePlayerId(playerId);
+        const durationMs = parseDuration(duration);
+        if (durationMs === null) {
+            throw new Error(`Invalid duration: "${duration}" (use e.g. 12h, 30d, 2w or 1mo)`);
+        }
+
+        const vip = await this.findVip(id);
+        if (!vip) {
+            throw new Error(`Player ${id} is not a VIP - use grant instead`);
+        }
+        if (vip.expiration === null) {
+            throw new Error(`Player ${id} already has permanent VIP`);
+        }
+
+        // Extend from the current expiration, or from now if it already lapsed
+        const base = Math.max(Date.now(), expirationTime(vip.expiration) || 0);
+        const expiration = new Date(base + durationMs).toISOString();
+        const name = await this.players.resolveName(id) || vip.name;
+
+        await this.addVip(id, vip.name || name || id, expiration, { source: options.source || 'extend', actor });
+        this.log(`Extended VIP for ${name || id} until ${expiration}`, 'success');
+
+        if (notify) {
+            await this.notify(
+                'vip.change',
+                'VIP Extended',
+                `⏫ **${name || 'Unknown player'}** (${id})\n⏰ **Was:** ${vip.expiration}\n⏰ **Now:** ${expiration}` +
+                ((actor || this.actor) ? `\n👤 **By:** ${actor || this.actor}` : ''),
+                0x00D4FF
+            );
+        }
+
+        return { player_id: id, name, description: vip.name, previousExpiration: vip.expiration, expiration };
+    }
+
+    async revokeVip(playerId, options = {}) {
+        const { notify = true, actor } = options;
+        const id = validatePlayerId(playerId);
+
+        const vip = await this.findVip(id);
+        if (!vip) {
+            throw new Error(`Player ${id} is not a VIP`);
+        }
+        const name = await this.players.resolveName(id) || vip.name;
+
+        await this.removeVip(id, { source: options.source || 'revoke', actor });
+        this.log(`Revoked VIP from ${name || id}`, 'success');
+
+        if (notify) {
+            await this.notify(
+                'vip.change',
+                'VIP Revoked',
+                `➖ **${name || 'Unknown player'}** (${id})\n📝 **Description:** ${vip.name}\n⏰ **Was expiring:** ${vip.expiration || 'Never (permanent)'}` +
+                ((actor || this.actor) ? `\n👤 **By:** ${actor || this.actor}` : ''),
+                0xFF8C00
+            );
+        }
+
+        return { player_id: id, name, description: vip.name, previousExpiration: vip.expiration };
+    }
+
+    async readPlayerIds(file) {
+        const content = await fs.readFile(file, 'utf8');
+        return content
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.split(/[\s,;]+/)[0]);
+    }
+
+    async bulkVipAction(action, file, args = []) {
+        const actions = {
+            grant: (id) => this.grantVip(id, args[0], args.slice(1).join(' ') || null, { notify: false }),
+            extend: (id) => this.extendVip(id, args[0], { notify: false }),
+            revoke: (id) => this.revokeVip(id, { notify: false })
+        };
+        if (!actions[action]) {
+            throw new Error(`Unknown bulk action: ${action} (use grant, extend or revoke)`);
+        }
+        if (action !== 'revoke' && !args[0]) {
+            throw new Error(`Bulk ${action} requires a duration`);
+        }
+
+        const playerIds = await this.readPlayerIds(file);
+        this.log(`Bulk ${action} for ${playerIds.length} players from ${file}...`);
+
+        const succeeded = [];
+        const failed = [];
+        for (const playerId of playerIds) {
+            try {
+                succeeded.push(await actions[action](playerId));
+            } catch (error) {
+                this.log(`Bulk ${action} failed for ${playerId}: ${error.message}`, 'error');
+                failed.push({ player_id: playerId, error: error.message });
+            }
+        }
+
+        this.log(`Bulk ${action} complete: ${succeeded.length} succeeded, ${failed.length} failed`,
+            failed.length > 0 ? 'warning' : 'success');
+
+        const lines = succeeded.slice(0, 20).map(result => `✅ **${result.name || result.player_id}** (${result.player_id})`);
+        if (succeeded.length > 20) lines.push(`…and ${succeeded.length - 20} more`);
+        failed.slice(0, 20).forEach(failure => lines.push(`❌ ${failure.player_id} - ${failure.error}`));
+
+        await this.notify(
+            'vip.change',
+            `Bulk VIP ${action.charAt(0).toUpperCase()}${action.slice(1)}`,
+            `📁 **File:** ${path.basename(file)}${args[0] && action !== 'revoke' ? ` | ⏰ **${args[0]}**` : ''}\n` +
+            `✅ ${succeeded.length} succeeded | ❌ ${failed.length} failed\n\n${lines.join('\n')}`,
+            failed.length > 0 ? 0xFF8C00 : 0x00FF00
+        );
+
+        return { succeeded, failed };
+    }
+
+    /**
+     * Import VIPs from a CSV file or donation export (see vip-import.js). New players are added
+     * and existing VIPs extended when the import has the later expiration, in batches.
+     * @param {object} options - { preset, duration, dryRun, batchSize, actor }
+     */
+    async importVips(file, options = {}) {
+        const { dryRun = false, batchSize = 10, actor } = options;
+
+        this.log(`Importing VIPs from ${file}${dryRun ? ' (dry run)' : ''}...`);
+        const { entries, errors, skipped } = await readImportFile(file, options);
+
+        const liveList = await this.makeRequest('/api/get_vip_ids');
+        if (!liveList || !Array.isArray(liveList)) {
+            throw new Error('No VIP data available');
+        }
+        const plan = buildImportPlan(liveList, entries);
+
+        // New players without a name in the file are described by their current in-game name
+        const unnamed = plan.add.filter(vip => !vip.playerName);
+        const names = await this.players.resolveNames(unnamed.map(vip => vip.player_id));
+        unnamed.forEach(vip => {
+            vip.playerName = names.get(vip.player_id) || null;
+            if (!vip.playerName) return;
+            if (vip.label) {
+                vip.name = donorName(vip.playerName, vip.label);
+            } else if (vip.name === vip.player_id) {
+                vip.name = vip.playerName;
+            }
+        });
+
+        console.log('\n📥 VIP Import Plan');
+        console.log('====================');
+        console.log(`📁 File: ${path.basename(file)} (${options.preset || 'csv'}, ${entries.length} players)`);
+        console.log(`👥 Live VIPs: ${liveList.length}`);
+        plan.add.forEach(vip => console.log(`  ➕ ${vip.player_id} ${vip.name} (${vip.expiration || 'permanent'})`));
+        plan.update.forEach(vip => console.log(
+            `  ✏️ ${vip.player_id} ${vip.name} (${vip.previousExpiration || 'permanent'} → ${vip.expiration || 'permanent'})`
+        ));
+        errors.forEach(error => console.log(`  ❌ Row ${error.row}: ${error.error}`));
+        console.log(`Summary: ${plan.add.length} to add, ${plan.update.length} to update, ` +
+            `${plan.unchanged.length} already have a later expiration, ${errors.length} invalid rows` +
+            (skipped > 0 ? `, ${skipped} inactive rows skipped` : ''));
+
+        if (dryRun) {
+            this.log('Dry run - no changes applied', 'warning');
+            return { ...plan, errors, skipped, dryRun: true, applied: 0, failed: [] };
+        }
+
+        const changes = [...plan.add, ...plan.update];
+        const batches = Math.ceil(changes.length / batchSize);
+        let applied = 0;
+        const failed = [];
+
+        for (let start = 0; start < changes.length; start += batchSize) {
+            const batch = changes.slice(start, start + batchSize);
+            this.log(`Applying batch ${start / batchSize + 1}/${batches} (${batch.length} VIPs)...`);
+            const results = await Promise.allSettled(batch.map(vip =>
+                this.addVip(vip.player_id, vip.name, vip.expiration, { source: 'import', actor })));
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    applied++;
+                } else {
+                    this.log(`Failed to import VIP ${batch[index].player_id}: ${result.reason.message}`, 'error');
+                    failed.push({ player_id: batch[index].player_id, error: result.reason.message });
+                }
+            });
+        }
+
+        this.log(`Import complete: ${applied} changes applied, ${failed.length} failed, ${errors.length} invalid rows`,
+            failed.length + errors.length > 0 ? 'warning' : 'success');
+
+        const lines = failed.slice(0, 20).map(failure => `❌ ${failure.player_id} - ${failure.error}`);
+        errors.slice(0, 20).forEach(error => lines.push(`⚠️ Row ${error.row}: ${error.error}`));
+        await this.notify(
+            'vip.change',
+            'VIP Import',
+            `📥 **Imported from:** ${path.basename(file)}\n` +
+            `➕ ${plan.add.length} added\n✏️ ${plan.update.length} extended\n⏭️ ${plan.unchanged.length} unchanged` +
+            (failed.length > 0 ? `\n❌ ${failed.length} changes failed` : '') +
+            (errors.length > 0 ? `\n⚠️ ${errors.length} invalid rows` : '') +
+            (lines.length > 0 ? `\n\n${lines.join('\n')}` : ''),
+            failed.length > 0 ? 0xFF8C00 : 0x00FF00
+        );
+
+        return { ...plan, errors, skipped, dryRun: false, applied, failed };
+    }
+
+    /**
+     * Write the VIP list, filtered like /vips, as CSV, JSON or a CRCON VIP file.
+     * @param {object} options - { format, output, filters }
+     */
+    async exportVips(options = {}) {
+        const { format = 'csv', filters = {} } = options;
+        const errors = validateFilters(filters);
+        if (errors.length > 0) {
+            throw new Error(`Invalid export filters: ${errors.join('; ')}`);
+        }
+
+        const vipList = await this.makeRequest('/api/get_vip_ids');
+        if (!vipList || !Array.isArray(vipList)) {
+            throw new Error('No VIP data available');
+        }
+        const now = new Date();
+        const vips = filterVips(vipList.map(vip => ({ server: this.serverName, ...this.describeVip(vip, now) })), filters);
+        const { content, extension } = renderExport(vips, format);
+
+        // Each server gets its own file when several are exported
+        const timestamp = now.toISOString().replace(/[:.]/g, '-');
+        let output = options.output || `vip_export_${timestamp}.${extension}`;
+        if (this.isLabelled()) {
+            const ext = path.extname(output);
+            output = `${output.slice(0, output.length - ext.length)}_${this.serverName}${ext}`;
+        }
+
+        await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+        await fs.writeFile(output, content);
+        this.log(`Exported ${vips.length} of ${vipList.length} VIPs as ${format} to ${output}`, 'success');
+        return { file: output, count: vips.length, total: vipList.length };
+    }
+
+    /**
+     * Read a file by name from the backup storage, or from a local path
+     */
+    async readStoredFile(file, storage = this.storage) {
+        if (path.basename(file) === file) {
+            try {
+                return await storage.read(file);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return fs.readFile(file);
+    }
+
+    /**
+     * Read a backup as text, decompressing and decrypting it as its extensions say
+     */
+    async readBackupContent(file) {
+        let data;
+        try {
+            data = await this.readStoredFile(file);
+        } catch (error) {
+            throw error.code === 'ENOENT' ? new Error(`Backup file not found: ${file}`) : error;
+        }
+        return { filepath: file, content: await decodeBackup(data, file, this.backupEncryptionKey) };
+    }
+
+    async readBackup(file) {
+        const { filepath, content } = await this.readBackupContent(file);
+        return { filepath, entries: parseVipFile(content) };
+    }
+
+    async listVipBackups() {
+        const files = (await this.storage.list()).map(file => file.name);
+        // ISO timestamps in the filenames sort chronologically
+        return files.filter(file => file.startsWith('vip_file_') && !isManifest(file)).sort();
+    }
+
+    /**
+     * Check one backup against its manifest (see verifyBackup). Never throws.
+     */
+    async checkBackup(file, storage = this.storage) {
+        try {
+            const data = await this.readStoredFile(file, storage);
+            const manifest = await this.readStoredFile(manifestPath(file), storage).catch(error => {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            });
+            return await verifyBackup(data, manifest && parseManifest(manifest, file), file, this.backupEncryptionKey);
+        } catch (error) {
+            return { status: 'failed', problems: [error.code === 'ENOENT' ? 'file not found' : error.message], notes: [], manifest: null };
+        }
+    }
+
+    /**
+     * Check every VIP backup (or just `file`) against its manifest
+     */
+    async verifyBackups(file = null) {
+        const files = file ? [file] : await this.listVipBackups();
+        const results = [];
+
+        for (const filepath of files) {
+            const result = await this.checkBackup(filepath);
+            const name = path.basename(filepath);
+            const icon = { ok: '✅', failed: '❌', unverified: '⚠️' }[result.status];
+            const details = [...result.problems, ...result.notes];
+            console.log(`${icon} ${name}${result.manifest ? ` (${result.manifest.entryCount} VIPs via ${result.manifest.source})` : ''}` +
+                (details.length > 0 ? ` - ${details.join('; ')}` : ''));
+            results.push({ file: name, ...result });
+        }
+
+        const count = status => results.filter(result => result.status === status).length;
+        const failed = results.filter(result => result.status === 'failed');
+        this.log(`Verified ${results.length} backups: ${count('ok')} ok, ${failed.length} failed, ${count('unverified')} without a manifest`,
+            failed.length > 0 ? 'error' : 'success');
+
+        if (failed.length > 0) {
+            await this.notify(
+                'backup.failure',
+                'Backup Verification Failed',
+                `❌ ${failed.length} of ${results.length} backups do not match their manifest\n` +
+                failed.slice(0, 10).map(result => `📁 **${result.file}** - ${result.problems.join('; ')}`).join('\n'),
+                0xFF0000
+            );
+        }
+
+        return { results, ok: count('ok'), failed: failed.length, unverified: count('unverified') };
+    }
+
+    formatDiff(diff, limit = 20) {
+        const lines = [];
+        const section = (items, render) => {
+            items.slice(0, limit).forEach(item => lines.push(render(item)));
+            if (items.length > limit) {
+                lines.push(`…and ${items.length - limit} more`);
+            }
+        };
+
+        section(diff.added, vip => `➕ **${vip.name}** (${vip.player_id}) - ${vip.expiration ? `expires ${vip.expiration}` : 'permanent'}`);
+        section(diff.removed, vip => `➖ **${vip.name}** (${vip.player_id})`);
+        section(diff.changed, change => {
+            const details = change.fields.map(field => field === 'expiration'
+                ? `expiration ${change.before.expiration || 'permanent'} → ${change.after.expiration || 'permanent'}`
+                : `description "${change.before.description}" → "${change.after.description}"`);
+            return `✏️ **${change.name}** (${change.player_id}) - ${details.join(', ')}`;
+        });
+
+        return lines.join('\n');
+    }
+
+    async diffBackups(fileA, fileB) {
+        const before = await this.readBackup(fileA);
+        const after = await this.readBackup(fileB);
+        return {
+            from: path.basename(before.filepath),
+            to: path.basename(after.filepath),
+            ...diffVipLists(before.entries, after.entries)
+        };
+    }
+
+    async recordChangelog(diff) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            from: diff.from,
+            to: diff.to,
+            added: diff.added,
+            removed: diff.removed,
+            changed: diff.changed.map(change => ({
+                player_id: change.player_id,
+                name: change.name,
+                fields: change.fields,
+                before: { expiration: change.before.expiration, description: change.before.description },
+                after: { expiration: change.after.expiration, description: change.after.description }
+            }))
+        };
+
+        // Object storage cannot append, so the log is read, extended and written back
+        const existing = await this.storage.read(this.changelogFile).catch(error => {
+            if (error.code === 'ENOENT') return Buffer.alloc(0);
+            throw error;
+        });
+        await this.storage.write(this.changelogFile, Buffer.concat([existing, Buffer.from(`${JSON.stringify(entry)}\n`)]));
+    }
+
+    async compareWithPreviousBackup(filename) {
+        const backups = await this.listVipBackups();
+        const index = backups.indexOf(filename);
+
+        if (index <= 0) {
+            this.log('No previous VIP snapshot to compare against', 'info');
+            return null;
+        }
+
+        const diff = await this.diffBackups(backups[index - 1], filename);
+        const changeCount = diff.added.length + diff.removed.length + diff.changed.length;
+
+        if (changeCount === 0) {
+            this.log(`No VIP changes since ${diff.from}`, 'info');
+            return diff;
+        }
+
+        this.log(`VIP changes since ${diff.from}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`, 'warning');
+        await this.recordChangelog(diff);
+
+        await this.notify(
+            'backup.changes',
+            'VIP List Changed',
+            `🔍 **Changes since** ${diff.from}\n` +
+            `➕ ${diff.added.length} added | ➖ ${diff.removed.length} removed | ✏️ ${diff.changed.length} changed\n\n` +
+            this.formatDiff(diff),
+            0xFFD700
+        );
+
+        return diff;
+    }
+
+    async restoreFromBackup(file, options = {}) {
+        const { dryRun = false, actor } = options;
+
+        this.log(`Restoring VIP list from ${file}${dryRun ? ' (dry run)' : ''}...`);
+        const { filepath, entries } = await this.readBackup(file);
+
+        if (entries.length === 0) {
+            throw new Error(`No VIP entries found in ${filepath}`);
+        }
+
+        const liveList = await this.makeRequest('/api/get_vip_ids');
+        if (!liveList || !Array.isArray(liveList)) {
+            throw new Error('No VIP data available');
+        }
+
+        const diff = diffVipLists(liveList, entries);
+        const plan = {
+            file: path.basename(filepath),
+            add: diff.added,
+            update: diff.changed.map(change => change.after),
+            remove: diff.removed
+        };
+
+        console.log('\n♻️ VIP Restore Plan');
+        console.log('====================');
+        console.log(`📁 Backup: ${plan.file} (${entries.length} VIPs)`);
+        console.log(`👥 Live VIPs: ${liveList.length}`);
+        plan.add.forEach(vip => console.log(`  ➕ ${vip.player_id} ${vip.name} (${vip.expiration || 'permanent'})`));
+        diff.changed.forEach(change => console.log(
+            `  ✏️ ${change.player_id} ${change.name} (${change.before.expiration || 'permanent'} → ${change.after.expiration || 'permanent'})`
+        ));
+        plan.remove.forEach(vip => console.log(`  ➖ ${vip.player_id} ${vip.name}`));
+        console.log(`Summary: ${plan.add.length} to add, ${plan.update.length} to update, ${plan.remove.length} to remove`);
+
+        if (dryRun) {
+            this.log('Dry run - no changes applied', 'warning');
+            return { ...plan, dryRun: true, applied: 0, failed: [] };
+        }
+
+        let applied = 0;
+        const failed = [];
+
+        for (const vip of [...plan.add, ...plan.update]) {
+            try {
+                await this.addVip(vip.player_id, vip.name, vip.expiration, { source: 'restore', actor });
+                applied++;
+            } catch (error) {
+                this.log(`Failed to restore VIP ${vip.player_id}: ${error.message}`, 'error');
+                failed.push({ player_id: vip.player_id, error: error.message });
+            }
+        }
+
+        for (const vip of plan.remove) {
+            try {
+                await this.removeVip(vip.player_id, { source: 'restore', actor });
+                applied++;
+            } catch (error) {
+                this.log(`Failed to remove VIP ${vip.player_id}: ${error.message}`, 'error');
+                failed.push({ player_id: vip.player_id, error: error.message });
+            }
+        }
+
+        this.log(`Restore complete: ${applied} changes applied, ${failed.length} failed`,
+            failed.length > 0 ? 'warning' : 'success');
+
+        await this.notify(
+            'vip.change',
+            'VIP List Restored',
+            `♻️ **Restored from:** ${plan.file}\n` +
+            `➕ ${plan.add.length} added\n✏️ ${plan.update.length} updated\n➖ ${plan.remove.length} removed` +
+            (failed.length > 0 ? `\n❌ ${failed.length} changes failed` : ''),
+            failed.length > 0 ? 0xFF8C00 : 0x00FF00
+        );
+
+        return { ...plan, dryRun: false, applied, failed };
+    }
 }
 
 // CLI Interface
+
+// Commands that run once per selected server; the others change VIP data and target a single server
+const PER_SERVER_COMMANDS = ['test', 'download', 'analyze', 'backup', 'cleanup', 'verify', 'export'];
+const SINGLE_SERVER_COMMANDS = ['diff', 'grant', 'extend', 'revoke', 'bulk', 'restore', 'import'];
+
+// Options followed by a value, which is not a positional argument
+const VALUE_OPTIONS = ['--server', '--preset', '--duration', '--batch-size', '--format', '--output',
+    '--status', '--platform', '--expiring-within', '--search'];
+
+function printUsage() {
+    console.log('🎖️  VIP Manager for Hell Let Loose CRCON');
+    console.log('==========================================');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node vip-manager.js test        - Test CRCON connection and notifications');
+    console.log('  node vip-manager.js download    - Download and backup VIP file');
+    console.log('  node vip-manager.js analyze     - Analyze VIP status and expiration');
+    console.log('  node vip-manager.js backup      - Complete backup (download + analyze)');
+    console.log('  node vip-manager.js cleanup [--dry-run] - Prune old backups with the retention policy');
+    console.log('  node vip-manager.js verify [file] - Check VIP backups against their manifests');
+    console.log('  node vip-manager.js grant <player_id> <duration|date> [description] - Grant VIP');
+    console.log('  node vip-manager.js extend <player_id> <duration> - Extend an existing VIP');
+    console.log('  node vip-manager.js revoke <player_id> - Remove VIP');
+    console.log('  node vip-manager.js bulk <grant|extend|revoke> <file> [duration] [description]');
+    console.log('  node vip-manager.js restore <file> [--dry-run] - Restore VIP list from a backup');
+    console.log('  node vip-manager.js import <file> [--preset csv|patreon|kofi] [--duration <d>] [--batch-size <n>] [--dry-run]');
+    console.log('                                  - Import VIPs from CSV or a donation export, keeping later expirations');
+    console.log('  node vip-manager.js export [--format csv|json|crcon] [--output <file>] - Export the VIP list');
+    console.log('        [--status <s1,s2>] [--expiring-within <days>] [--platform steam|nonSteam|unknown] [--search <text>]');
+    console.log('  node vip-manager.js diff <a> <b> - Compare two VIP backups');
+    console.log('  node vip-manager.js history <player_id> - Show a player\'s recorded VIP history');
+    console.log('  node vip-manager.js config check - Validate and print the effective configuration');
+    console.log('');
+    console.log('Options:');
+    console.log('  --server <name>    - Run against one configured server (required for changes when several are configured)');
+    console.log('  --config <file>    - JSON or YAML config file (default: ./vip-sentinel.yml if present)');
+    console.log('  --profile <name>   - Apply a named profile from the config file');
+    console.log('');
+    console.log('Configuration:');
+    console.log('  CRCON_BASE_URL     - Your CRCON server URL');
+    console.log('  CRCON_API_TOKEN    - API token from CRCON web interface');
+    console.log('  CRCON_SERVERS      - JSON list of server profiles for multi-server setups (optional)');
+    console.log('  DISCORD_WEBHOOK_URL - Discord webhook for notifications (optional)');
+    console.log('  NOTIFICATION_CHANNELS - JSON list of Discord, Slack, webhook and email channels (optional)');
+    console.log('  BACKUP_COMPRESS    - Gzip VIP backups (default: false)');
+    console.log('  BACKUP_ENCRYPTION_KEY - Encrypt VIP backups with AES-256-GCM (optional, 16+ characters)');
+    console.log('  VIP_DB_FILE        - VIP history file (default: ./data/vip-history.jsonl)');
+    console.log('  VIP_ACTOR          - Name recorded as the author of changes (default: $USER)');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node vip-manager.js test         # Test connection');
+    console.log('  node vip-manager.js backup       # Download and analyze');
+    console.log('  node vip-manager.js cleanup --dry-run  # List the backups the retention policy would remove');
+    console.log('  node vip-manager.js grant 76561198000000000 30d "Donor"  # 30 days of VIP');
+    console.log('  node vip-manager.js restore vip_file_2024-01-01T02-00-00-000Z.txt --dry-run');
+    console.log('  node vip-manager.js import patrons.csv --preset patreon --dry-run');
+    console.log('  node vip-manager.js export --format csv --status expired,expiringSoon --output expiring.csv');
+    console.log('  node vip-manager.js analyze --server eu1  # Analyze a single server');
+}
+
+function printHistory(playerId, history) {
+    if (!history) {
+        console.log(`No VIP history recorded for ${playerId}`);
+        return;
+    }
+
+    console.log(`\n📜 VIP History: ${history.name || 'Unknown'} (${history.player_id})`);
+    console.log('==========================================');
+    console.log(`👀 First seen: ${history.firstSeen}`);
+    console.log(`🎖️ First VIP: ${history.firstVip || 'Never'}${history.firstVipIsBaseline ? ' (already VIP when history started)' : ''}`);
+    console.log(`🔁 Renewals: ${history.renewals}`);
+    console.log(`👤 Granted by: ${history.grantedBy.length > 0 ? history.grantedBy.join(', ') : 'Unknown'}`);
+    Object.entries(history.servers).forEach(([server, info]) => {
+        console.log(`🌐 ${server}: ${info.active ? `active, ${info.expiration ? `expires ${info.expiration}` : 'permanent'}` : 'not VIP'}`);
+    });
+    console.log('');
+    history.events.forEach(event => {
+        const expiration = event.type === 'removed' ? '' : ` → ${event.expiration || 'permanent'}`;
+        console.log(`  ${event.timestamp} [${event.server}] ${event.type}${expiration} (${event.source}${event.actor ? ` by ${event.actor}` : ''})`);
+    });
+}
+
+async function runCommand(vipManager, command, positional, options) {
+    const { dryRun } = options;
+
+    switch (command) {
+        case 'test':
+            console.log('✅ Connection test successful!');
+            const { sent, failed } = await vipManager.notify(
+                'test',
+                'Test Notification',
+                '🧪 VIP Manager is working correctly!'
+            );
+            console.log(`${failed > 0 ? '⚠️' : '✅'} Test notification sent to ${sent} channel(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+            break;
+
+        case 'download':
+            await vipManager.downloadVipFile();
+            break;
+        
+        case 'analyze':
+            await vipManager.analyzeVips();
+            break;
+        
+        case 'backup':
+            console.log('🔄 Starting complete backup...');
+            const downloadResult = await vipManager.downloadVipFile();
+            const analysis = await vipManager.analyzeVips();
+            console.log('\n✅ Complete backup finished!');
+            break;
+        
+        case 'cleanup':
+            if (positional.length > 0) {
+                throw new Error('cleanup no longer takes a number of days - set BACKUP_RETENTION_DAYS, _WEEKS and _MONTHS instead');
+            }
+            await vipManager.cleanupOldBackups({ dryRun });
+            break;
+
+        case 'verify':
+            const verifyResult = await vipManager.verifyBackups(positional[0] || null);
+            if (verifyResult.failed > 0) {
+                process.exitCode = 1;
+            }
+            break;
+
+        case 'diff':
+            if (positional.length < 2) {
+                throw new Error('Usage: node vip-manager.js diff <older-file> <newer-file>');
+            }
+            const diff = await vipManager.diffBackups(positional[0], positional[1]);
+            console.log(`\n🔍 VIP Changes: ${diff.from} → ${diff.to}`);
+            console.log('==========================================');
+            console.log(`➕ Added: ${diff.added.length}`);
+            console.log(`➖ Removed: ${diff.removed.length}`);
+            console.log(`✏️ Changed: ${diff.changed.length}`);
+            if (diff.added.length + diff.removed.length + diff.changed.length > 0) {
+                console.log('');
+                console.log(vipManager.formatDiff(diff, Infinity).replace(/\*\*/g, ''));
+            }
+            break;
+
+        case 'grant':
+            if (positional.length < 2) {
+                throw new Error('Usage: node vip-manager.js grant <player_id> <duration|date> [description]');
+            }
+            await vipManager.grantVip(positional[0], positional[1], positional.slice(2).join(' ') || null);
+            break;
+
+        case 'extend':
+            if (positional.length < 2) {
+                throw new Error('Usage: node vip-manager.js extend <player_id> <duration>');
+            }
+            await vipManager.extendVip(positional[0], positional[1]);
+            break;
+
+        case 'revoke':
+            if (positional.length < 1) {
+                throw new Error('Usage: node vip-manager.js revoke <player_id>');
+            }
+            await vipManager.revokeVip(positional[0]);
+            break;
+
+        case 'bulk':
+            if (positional.length < 2) {
+                throw new Error('Usage: node vip-manager.js bulk <grant|extend|revoke> <file> [duration] [description]');
+            }
+            const bulkResult = await vipManager.bulkVipAction(positional[0], positional[1], positional.slice(2));
+            if (bulkResult.failed.length > 0) {
+                process.exitCode = 1;
+            }
+            break;
+
+        case 'restore':
+            if (!positional[0]) {
+                throw new Error('Usage: node vip-manager.js restore <file> [--dry-run]');
+            }
+            const restoreResult = await vipManager.restoreFromBackup(positional[0], { dryRun });
+            if (restoreResult.failed.length > 0) {
+                process.exitCode = 1;
+            }
+            break;
+
+        case 'export':
+            await vipManager.exportVips({
+                format: options.format,
+                output: options.output,
+                filters: options.filters
+            });
+            break;
+
+        case 'import':
+            if (!positional[0]) {
+                throw new Error('Usage: node vip-manager.js import <file> [--preset csv|patreon|kofi] [--duration <d>] [--batch-size <n>] [--dry-run]');
+            }
+            if (options.batchSize !== undefined && !(options.batchSize > 0)) {
+                throw new Error('--batch-size must be a positive number');
+            }
+            const importResult = await vipManager.importVips(positional[0], {
+                dryRun,
+                preset: options.preset,
+                duration: options.duration,
+                batchSize: options.batchSize
+            });
+            if (importResult.failed.length > 0) {
+                process.exitCode = 1;
+            }
+            break;
+    }
+}
+
+/**
+ * Print the effective configuration with secrets masked. Returns false when it is invalid.
+ */
+function printConfigCheck(result) {
+    console.log('\n⚙️ Effective Configuration');
+    console.log('==========================================');
+    console.log(`📄 Config file: ${result.file || 'none (defaults and environment only)'}`);
+    console.log(`🏷️ Profile: ${result.profile || 'none'}`);
+    console.log('');
+
+    describeConfig(result).forEach(setting => {
+        const value = setting.value === null ? '-' : typeof setting.value === 'object' ? JSON.stringify(setting.value) : setting.value;
+        console.log(`  ${setting.key} = ${value}${setting.source === 'default' ? '' : `  (${setting.source})`}`);
+    });
+
+    let errors = result.errors;
+    if (errors.length === 0) {
+        try {
+            errors = validateServerProfiles(loadServerProfiles(result.config), result.config);
+        } catch (error) {
+            errors = [error.message];
+        }
+    }
+
+    console.log('');
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        return false;
+    }
+    console.log('✅ Configuration is valid');
+    return true;
+}
+
 async function main() {
-    const args = process.argv.slice(2);
+    const args = applyConfigArgs(process.argv.slice(2));
     const command = args[0];
+    const dryRun = args.includes('--dry-run');
+    const optionValue = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+    const serverName = optionValue('--server') || null;
+    const positional = args.slice(1).filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index]));
+    const options = {
+        dryRun,
+        preset: optionValue('--preset'),
+        duration: optionValue('--duration'),
+        batchSize: optionValue('--batch-size') !== undefined ? Number(optionValue('--batch-size')) : undefined,
+        format: optionValue('--format'),
+        output: optionValue('--output'),
+        filters: {
+            status: optionValue('--status') ? optionValue('--status').split(',').map(value => value.trim()) : undefined,
+            platform: optionValue('--platform'),
+            expiringWithin: optionValue('--expiring-within') !== undefined ? Number(optionValue('--expiring-within')) : undefined,
+            search: optionValue('--search')
+        }
+    };
+
+    if (command === 'config') {
+        if (positional[0] !== 'check') {
+            console.error('Usage: node vip-manager.js config check [--config <file>] [--profile <name>]');
+            process.exit(1);
+        }
+        if (!printConfigCheck(loadConfig())) {
+            process.exit(1);
+        }
+        return;
+    }
+
+    // History is answered from the local store, no CRCON connection needed
+    if (command === 'history') {
+        try {
+            if (!positional[0]) {
+                throw new Error('Usage: node vip-manager.js history <player_id>');
+            }
+            printHistory(positional[0], await new VIPStore().getPlayerHistory(positional[0]));
+        } catch (error) {
+            console.error(`❌ Operation failed: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (!PER_SERVER_COMMANDS.includes(command) && !SINGLE_SERVER_COMMANDS.includes(command)) {
+        printUsage();
+        return;
+    }
 
     // Validate environment
-    if (!process.env.CRCON_BASE_URL) {
-        console.error('❌ CRCON_BASE_URL environment variable is required');
+    let profiles;
+    try {
+        profiles = loadServerProfiles();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
         process.exit(1);
     }
 
-    if (!process.env.CRCON_API_TOKEN) {
-        console.error('❌ CRCON_API_TOKEN environment variable is required');
-        console.error('   Generate an API token in your CRCON web interface');
+    const configErrors = validateServerProfiles(profiles);
+    if (configErrors.length > 0) {
+        configErrors.forEach(error => console.error(`❌ ${error}`));
+        if (configErrors.some(error => error.includes('token') || error.includes('TOKEN'))) {
+            console.error('   Generate an API token in your CRCON web interface');
+        }
         process.exit(1);
     }
 
-    const vipManager = new VIPManager();
-
     try {
-        // Test connection first
-        const connectionTest = await vipManager.testConnection();
-        if (!connectionTest.connected) {
-            throw new Error(connectionTest.error);
-        }
-
-        switch (command) {
-            case 'test':
-                console.log('✅ Connection test successful!');
-                await vipManager.sendDiscordNotification(
-                    'Test Notification',
-                    '🧪 VIP Manager is working correctly!'
-                );
-                console.log('✅ Test notification sent');
-                break;
+        const selected = selectServers(profiles.map(profile => new VIPManager(profile)), serverName);
+        if (SINGLE_SERVER_COMMANDS.includes(command) && selected.length > 1) {
+            throw new Error(`Several servers are configured - choose one with --server <${selected.map(manager => manager.serverName).join('|')}>`);
+        }
 
-            case 'download':
-                await vipManager.downloadVipFile();
-                break;
-            
-            case 'analyze':
-                await vipManager.analyzeVips();
-                break;
-            
-            case 'backup':
-                console.log('🔄 Starting complete backup...');
-                const downloadResult = await vipManager.downloadVipFile();
-                const analysis = await vipManager.analyzeVips();
-                console.log('\n✅ Complete backup finished!');
-                break;
-            
-            case 'cleanup':
-                const days = parseInt(args[1]) || 30;
-                await vipManager.cleanupOldBackups(days);
-                break;
-            
-            default:
-                console.log('🎖️  VIP Manager for Hell Let Loose CRCON');
-                console.log('==========================================');
-                console.log('');
-                console.log('Usage:');
-                console.log('  node vip-manager.js test        - Test CRCON connection and Discord');
-                console.log('  node vip-manager.js download    - Download and backup VIP file');
-                console.log('  node vip-manager.js analyze     - Analyze VIP status and expiration');
-                console.log('  node vip-manager.js backup      - Complete backup (download + analyze)');
-                console.log('  node vip-manager.js cleanup [days] - Clean old backups (default: 30 days)');
-                console.log('');
-                console.log('Configuration:');
-                console.log('  CRCON_BASE_URL     - Your CRCON server URL');
-                console.log('  CRCON_API_TOKEN    - API token from CRCON web interface');
-                console.log('  DISCORD_WEBHOOK_URL - Discord webhook for notifications (optional)');
-                console.log('');
-                console.log('Examples:');
-                console.log('  node vip-manager.js test         # Test connection');
-                console.log('  node vip-manager.js backup       # Download and analyze');
-                console.log('  node vip-manager.js cleanup 7    # Clean backups older than 7 days');
+        if (selected.length === 1) {
+            // Test connection first
+            const connectionTest = await selected[0].testConnection();
+            if (!connectionTest.connected) {
+                throw new Error(connectionTest.error);
+            }
+            await runCommand(selected[0], command, positional, options);
+            return;
+        }
+
+        // One unreachable server should not stop the others
+        for (const vipManager of selected) {
+            console.log(`\n🌐 Server: ${vipManager.serverName}`);
+            try {
+                const connectionTest = await vipManager.testConnection();
+                if (!connectionTest.connected) {
+                    throw new Error(connectionTest.error);
+                }
+                await runCommand(vipManager, command, positional, options);
+            } catch (error) {
+                console.error(`❌ ${vipManager.serverName}: ${error.message}`);
+                process.exitCode = 1;
+            }
         }
     } catch (error) {
         console.error(`❌ Operation failed: ${error.message}`);
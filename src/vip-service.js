@@ -6,53 +6,110 @@
 require('dotenv').config();
 const cron = require('node-cron');
 const VIPManager = require('./vip-manager');
+const { normalizeVip, expirationTime } = require('./vip-file');
+const { loadServerProfiles, validateSyncServers, selectServers } = require('./servers');
+const { getConfig, applyConfigArgs } = require('./config');
+const VIPSync = require('./vip-sync');
+const SeedingRewards = require('./seeding');
+const { describeRetention } = require('./retention');
+const { Logger, isJsonFormat, runJob } = require('./logger');
 
 class VIPService {
     constructor() {
-        this.vipManager = new VIPManager();
-        this.backupSchedule = process.env.BACKUP_SCHEDULE || '0 2 * * *';
-        this.alertSchedule = process.env.ALERT_SCHEDULE || '0 9 * * *';   
-        this.retentionDays = parseInt(process.env.BACKUP_RETENTION_DAYS) || 30;
+        const config = getConfig();
+        const profiles = loadServerProfiles(config);
+        this.vipManagers = profiles.map(profile => new VIPManager(profile));
+        // Primary server, used for service-level notifications
+        this.vipManager = this.vipManagers[0];
+        this.backupSchedule = config.backup.schedule;
+        this.alertSchedule = config.alerts.schedule;
+        this.retention = describeRetention({
+            days: config.backup.retentionDays,
+            weeks: config.backup.retentionWeeks,
+            months: config.backup.retentionMonths
+        });
+        this.timezone = config.timezone;
+        this.enforcement = { ...config.enforcement };
+        this.sync = { ...config.sync };
+        this.seeding = { ...config.seeding };
+        this.seedingInProgress = false;
+        // Fail at startup, not on the first poll, when SEEDING_SERVERS names an unknown server
+        this.seedingServers();
+        // Likewise when SYNC_SOURCE or SYNC_TARGETS names an unknown server
+        const syncErrors = validateSyncServers(profiles, this.sync);
+        if (syncErrors.length > 0) {
+            throw new Error(syncErrors.join('; '));
+        }
         this.isRunning = false;
+        this.logger = new Logger('service', { label: 'SERVICE', infoIcon: '🔄' });
+    }
+
+    log(message, level = 'info', fields = {}) {
+        this.logger.log(message, level, fields);
     }
 
-    log(message, level = 'info') {
-        const timestamp = new Date().toISOString();
-        const prefix = {
-            info: '🔄',
-            success: '✅',
-            error: '❌',
-            warning: '⚠️'
-        }[level] || 'ℹ️';
-        
-        console.log(`${timestamp} ${prefix} [SERVICE] ${message}`);
+    /**
+     * Run a scheduled or manual job with its own job id in every log line
+     */
+    runJob(job, fn) {
+        return runJob(job, async () => {
+            const startedAt = Date.now();
+            try {
+                return await fn();
+            } finally {
+                this.log(`Job ${job} finished`, 'debug', { durationMs: Date.now() - startedAt });
+            }
+        });
+    }
+
+    serverLabel(vipManager) {
+        return vipManager.isLabelled() ? ` for ${vipManager.serverName}` : '';
     }
 
     async performScheduledBackup() {
+        return this.runJob('backup', async () => {
+            for (const vipManager of this.vipManagers) {
+                await this.backupServer(vipManager);
+            }
+        });
+    }
+
+    async backupServer(vipManager) {
         try {
-            this.log('Starting scheduled backup...');
+            this.log(`Starting scheduled backup${this.serverLabel(vipManager)}...`);
             
             // Download VIP file
-            const downloadResult = await this.vipManager.downloadVipFile();
+            const downloadResult = await vipManager.downloadVipFile();
+
+            // Report changes since the previous snapshot
+            const diff = await vipManager.compareWithPreviousBackup(downloadResult.filename)
+                .catch(error => {
+                    this.log(`Snapshot comparison failed: ${error.message}`, 'warning');
+                    return null;
+                });
             
             // Analyze VIP status
-            const analysis = await this.vipManager.analyzeVips();
+            const analysis = await vipManager.analyzeVips();
             
             // Cleanup old backups
-            const deletedCount = await this.vipManager.cleanupOldBackups(this.retentionDays);
+            const cleanup = await vipManager.cleanupOldBackups();
             
-            this.log('Scheduled backup completed successfully', 'success');
+            this.log(`Scheduled backup completed successfully${this.serverLabel(vipManager)}`, 'success');
             
             // Send summary notification
-            await this.vipManager.sendDiscordNotification(
+            await vipManager.notify(
+                'backup.success',
                 'Scheduled Backup Complete',
-                `✅ **Backup Summary**\n📁 VIP file backed up\n📊 ${analysis.total} VIPs analyzed\n🧹 ${deletedCount} old files cleaned`,
+                `✅ **Backup Summary**\n📁 VIP file backed up\n📊 ${analysis.total} VIPs analyzed\n` +
+                (diff ? `🔍 ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed\n` : '') +
+                `🧹 ${cleanup.deleted} old files cleaned`,
                 0x00FF00
             );
 
         } catch (error) {
-            this.log(`Scheduled backup failed: ${error.message}`, 'error');
-            await this.vipManager.sendDiscordNotification(
+            this.log(`Scheduled backup failed${this.serverLabel(vipManager)}: ${error.message}`, 'error');
+            await vipManager.notify(
+                'backup.failure',
                 'Backup Failed',
                 `❌ Scheduled backup failed: ${error.message}`,
                 0xFF0000
@@ -61,49 +118,225 @@ class VIPService {
     }
 
     async performHealthCheck() {
+        return this.runJob('health-check', async () => {
+            for (const vipManager of this.vipManagers) {
+                await this.checkServer(vipManager);
+            }
+        });
+    }
+
+    async checkServer(vipManager) {
         try {
-            this.log('Performing health check...');
+            this.log(`Performing health check${this.serverLabel(vipManager)}...`);
             
-            const connectionTest = await this.vipManager.testConnection();
+            const connectionTest = await vipManager.testConnection();
             if (!connectionTest.connected) {
                 throw new Error(connectionTest.error);
             }
             
-            const analysis = await this.vipManager.analyzeVips();
+            // Expiry alerts are sent by the analysis, only when something changed
+            const analysis = await vipManager.analyzeVips();
+            await vipManager.alertHealth(null);
 
-            // Check for critical issues
-            const criticalIssues = [];
-            
-            if (analysis.expiringToday > 0) {
-                criticalIssues.push(`🚨 ${analysis.expiringToday} VIPs expire TODAY`);
+            this.log(`Health check completed${this.serverLabel(vipManager)} - ${analysis.total} VIPs checked`, 'success');
+
+        } catch (error) {
+            this.log(`Health check failed${this.serverLabel(vipManager)}: ${error.message}`, 'error');
+            await vipManager.alertHealth(error);
+        }
+    }
+
+    async performEnforcement(options = {}) {
+        return this.runJob('enforce', async () => {
+            const results = [];
+            for (const vipManager of this.vipManagers) {
+                results.push(await this.enforceServer(vipManager, options));
             }
-            
-            if (analysis.expired > 0) {
-                criticalIssues.push(`❌ ${analysis.expired} VIPs have expired`);
+            return results;
+        });
+    }
+
+    async enforceServer(vipManager, options = {}) {
+        const { graceDays, maxRemovals, protectedIds } = this.enforcement;
+        const dryRun = options.dryRun !== undefined ? options.dryRun : this.enforcement.dryRun;
+
+        try {
+            this.log(`Enforcing VIP expirations${this.serverLabel(vipManager)} (grace: ${graceDays} days${dryRun ? ', dry run' : ''})...`);
+
+            const vipList = await vipManager.makeRequest('/api/get_vip_ids');
+            if (!vipList || !Array.isArray(vipList)) {
+                throw new Error('No VIP data available');
             }
-            
-            if (analysis.expiringSoon > 0) {
-                criticalIssues.push(`⚠️ ${analysis.expiringSoon} VIPs expire within 7 days`);
+
+            const cutoff = Date.now() - graceDays * 24 * 60 * 60 * 1000;
+            const candidates = vipList
+                .map(normalizeVip)
+                .filter(vip => {
+                    const expiresAt = expirationTime(vip.expiration);
+                    return expiresAt !== null && expiresAt < cutoff;
+                })
+                .sort((a, b) => expirationTime(a.expiration) - expirationTime(b.expiration));
+
+            const protectedVips = candidates.filter(vip => protectedIds.includes(vip.player_id));
+            const eligible = candidates.filter(vip => !protectedIds.includes(vip.player_id));
+            const selected = eligible.slice(0, maxRemovals);
+            const deferred = eligible.length - selected.length;
+
+            const removed = [];
+            const failed = [];
+
+            for (const vip of selected) {
+                const daysExpired = Math.floor((Date.now() - expirationTime(vip.expiration)) / (1000 * 60 * 60 * 24));
+                if (dryRun) {
+                    this.log(`[DRY RUN] Would remove ${vip.name} (${vip.player_id}), expired ${daysExpired} days ago`);
+                    removed.push({ ...vip, daysExpired });
+                    continue;
+                }
+
+                try {
+                    await vipManager.removeVip(vip.player_id, { source: 'enforce', actor: 'enforcement' });
+                    this.log(`Removed expired VIP ${vip.name} (${vip.player_id}), expired ${daysExpired} days ago`, 'success');
+                    removed.push({ ...vip, daysExpired });
+                } catch (error) {
+                    this.log(`Failed to remove ${vip.player_id}: ${error.message}`, 'error');
+                    failed.push({ ...vip, error: error.message });
+                }
             }
 
-            // Send alerts if needed
-            if (criticalIssues.length > 0) {
-                await this.vipManager.sendDiscordNotification(
-                    'VIP Alert',
-                    `🔔 **VIP Status Alert**\n${criticalIssues.join('\n')}`,
-                    0xFF8C00
+            if (deferred > 0) {
+                this.log(`Removal cap of ${maxRemovals} reached, ${deferred} expired VIPs deferred to the next run`, 'warning');
+            }
+
+            if (removed.length > 0 || failed.length > 0) {
+                const lines = removed.map(vip =>
+                    `${dryRun ? '🔍' : '➖'} **${vip.name}** (${vip.player_id}) - expired ${vip.daysExpired} days ago`);
+                failed.forEach(vip => lines.push(`❌ **${vip.name}** (${vip.player_id}) - ${vip.error}`));
+                if (protectedVips.length > 0) lines.push(`🛡️ ${protectedVips.length} protected VIPs skipped`);
+                if (deferred > 0) lines.push(`⏳ ${deferred} deferred by the per-run cap`);
+
+                await vipManager.notify(
+                    'enforcement.action',
+                    dryRun ? 'VIP Enforcement Preview' : 'Expired VIPs Removed',
+                    `${dryRun ? '🔍 **Dry run - no VIPs were removed**\n' : ''}${lines.join('\n')}`,
+                    failed.length > 0 ? 0xFF0000 : 0xFF8C00
                 );
             }
 
-            this.log(`Health check completed - ${analysis.total} VIPs checked`, 'success');
+            this.log(`Enforcement completed - ${removed.length} ${dryRun ? 'would be removed' : 'removed'}, ${failed.length} failed`, 'success');
+            return { dryRun, removed, failed, protected: protectedVips, deferred };
 
         } catch (error) {
-            this.log(`Health check failed: ${error.message}`, 'error');
-            await this.vipManager.sendDiscordNotification(
-                'Health Check Failed',
-                `❌ VIP health check failed: ${error.message}`,
+            this.log(`Enforcement failed${this.serverLabel(vipManager)}: ${error.message}`, 'error');
+            await vipManager.notify(
+                'enforcement.failure',
+                'VIP Enforcement Failed',
+                `❌ VIP enforcement failed: ${error.message}`,
                 0xFF0000
             );
+            return null;
+        }
+    }
+
+    async performSeeding() {
+        // Polls run every minute - skip one rather than let a slow CRCON stack them up
+        if (this.seedingInProgress) {
+            this.log('Previous seeding poll still running, skipping', 'warning');
+            return [];
+        }
+        this.seedingInProgress = true;
+        try {
+            return await this.runJob('seeding', async () => {
+                const rewards = new SeedingRewards(this.seeding);
+                const results = [];
+                for (const vipManager of this.seedingServers()) {
+                    results.push(await this.seedServer(vipManager, rewards));
+                }
+                return results;
+            });
+        } finally {
+            this.seedingInProgress = false;
+        }
+    }
+
+    seedingServers() {
+        return this.seeding.servers.length > 0
+            ? this.seeding.servers.flatMap(name => selectServers(this.vipManagers, name))
+            : this.vipManagers;
+    }
+
+    async seedServer(vipManager, rewards) {
+        try {
+            const result = await rewards.poll(vipManager);
+            this.log(`Seeding poll${this.serverLabel(vipManager)}: ${result.playerCount} players` +
+                (result.seeding ? `, seeding - ${Math.round(result.creditedMinutes * 10) / 10} minutes credited` : ', not seeding') +
+                (result.rewarded.length > 0 ? `, ${result.rewarded.length} rewarded` : ''),
+                result.failed.length > 0 ? 'warning' : 'debug');
+            result.rewarded.forEach(grant => this.log(
+                `Seeding reward${this.serverLabel(vipManager)}: ${grant.name || grant.player_id} until ${grant.expiration}`, 'success'));
+            return { server: vipManager.serverName, ...result };
+        } catch (error) {
+            this.log(`Seeding poll failed${this.serverLabel(vipManager)}: ${error.message}`, 'error');
+            return { server: vipManager.serverName, error: error.message };
+        }
+    }
+
+    async performSync(options = {}) {
+        return this.runJob('sync', () => this.syncServers(options));
+    }
+
+    async syncServers(options = {}) {
+        const dryRun = options.dryRun !== undefined ? options.dryRun : this.sync.dryRun;
+        const removeExtras = options.removeExtras !== undefined ? options.removeExtras : this.sync.removeExtras;
+        const vipSync = new VIPSync(this.vipManagers, this.sync);
+        const notifier = vipSync.source || this.vipManager;
+
+        try {
+            this.log(`Synchronizing VIPs from ${vipSync.sourceLabel}${dryRun ? ' (dry run)' : ''}...`);
+
+            const plan = await vipSync.buildPlan({ removeExtras });
+            if (isJsonFormat()) {
+                plan.targets.forEach(target => this.log(`Sync plan for ${target.server}`, target.error ? 'warning' : 'info', {
+                    server: target.server,
+                    add: target.add.length,
+                    update: target.update.length,
+                    remove: target.remove.length,
+                    conflicts: target.conflicts.length,
+                    error: target.error
+                }));
+            } else {
+                vipSync.printPlan(plan);
+            }
+
+            if (!dryRun) {
+                await vipSync.apply(plan);
+            }
+
+            const changes = plan.targets.reduce((sum, target) => sum + target.add.length + target.update.length + target.remove.length, 0);
+            const conflicts = plan.targets.reduce((sum, target) => sum + target.conflicts.length, 0);
+            const failures = plan.targets.filter(target => target.error || (target.failed && target.failed.length > 0)).length;
+
+            if (changes > 0 || conflicts > 0 || failures > 0) {
+                await notifier.notify(
+                    'sync.result',
+                    dryRun ? 'VIP Sync Preview' : 'VIP Sync Complete',
+                    vipSync.formatSummary(plan, dryRun),
+                    failures > 0 ? 0xFF0000 : conflicts > 0 ? 0xFF8C00 : 0x00FF00
+                );
+            }
+
+            this.log(`Sync completed - ${changes} changes ${dryRun ? 'planned' : 'applied'}, ${conflicts} conflicts`,
+                failures > 0 ? 'warning' : 'success');
+            return plan;
+
+        } catch (error) {
+            this.log(`Sync failed: ${error.message}`, 'error');
+            await notifier.notify(
+                'sync.failure',
+                'VIP Sync Failed',
+                `❌ VIP sync failed: ${error.message}`,
+                0xFF0000
+            );
+            return null;
         }
     }
 
@@ -116,14 +349,20 @@ class VIPService {
         this.log('Starting VIP Service...');
         this.log(`Backup schedule: ${this.backupSchedule}`);
         this.log(`Alert schedule: ${this.alertSchedule}`);
-        this.log(`Retention period: ${this.retentionDays} days`);
-
-        // Validate cron expressions
-        if (!cron.validate(this.backupSchedule)) {
-            throw new Error(`Invalid backup schedule: ${this.backupSchedule}`);
+        this.log(`Servers: ${this.vipManagers.map(manager => manager.serverName).join(', ')}`);
+        this.log(`Retention: ${this.retention} VIP snapshots`);
+        this.log(`Backup storage: ${this.vipManager.storage.name} (${this.vipManagers.map(manager => manager.storage.location('')).join(', ')})`);
+        if (this.sync.enabled) {
+            this.log(`Sync schedule: ${this.sync.schedule} (source: ${this.sync.rosterFile || this.sync.source || this.vipManager.serverName}` +
+                `${this.sync.dryRun ? ', dry run' : ''})`);
+        }
+        if (this.seeding.enabled) {
+            this.log(`Seeding schedule: ${this.seeding.schedule} (below ${this.seeding.threshold} players, ` +
+                `${this.seeding.targetMinutes} minutes = ${this.seeding.reward} VIP)`);
         }
-        if (!cron.validate(this.alertSchedule)) {
-            throw new Error(`Invalid alert schedule: ${this.alertSchedule}`);
+        if (this.enforcement.enabled) {
+            this.log(`Enforcement schedule: ${this.enforcement.schedule} (grace: ${this.enforcement.graceDays} days, ` +
+                `cap: ${this.enforcement.maxRemovals}${this.enforcement.dryRun ? ', dry run' : ''})`);
         }
 
         // Schedule backup task
@@ -131,7 +370,7 @@ class VIPService {
             this.performScheduledBackup();
         }, {
             scheduled: false,
-            timezone: process.env.TIMEZONE || 'UTC'
+            timezone: this.timezone
         });
 
         // Schedule health check task
@@ -139,20 +378,58 @@ class VIPService {
             this.performHealthCheck();
         }, {
             scheduled: false,
-            timezone: process.env.TIMEZONE || 'UTC'
+            timezone: this.timezone
         });
 
+        // Schedule enforcement task (opt-in)
+        const enforcementTask = this.enforcement.enabled
+            ? cron.schedule(this.enforcement.schedule, () => {
+                this.performEnforcement();
+            }, {
+                scheduled: false,
+                timezone: this.timezone
+            })
+            : null;
+
+        // Schedule sync task (opt-in)
+        const syncTask = this.sync.enabled
+            ? cron.schedule(this.sync.schedule, () => {
+                this.performSync();
+            }, {
+                scheduled: false,
+                timezone: this.timezone
+            })
+            : null;
+
+        // Schedule seeding rewards task (opt-in)
+        const seedingTask = this.seeding.enabled
+            ? cron.schedule(this.seeding.schedule, () => {
+                this.performSeeding();
+            }, {
+                scheduled: false,
+                timezone: this.timezone
+            })
+            : null;
+
         // Start tasks
         backupTask.start();
         healthTask.start();
+        if (enforcementTask) enforcementTask.start();
+        if (syncTask) syncTask.start();
+        if (seedingTask) seedingTask.start();
 
         this.isRunning = true;
         this.log('VIP Service started successfully', 'success');
 
         // Send startup notification
-        this.vipManager.sendDiscordNotification(
+        this.vipManager.notify(
+            'service.status',
             'VIP Service Started',
-            `🚀 **VIP Service Online**\n📅 Backup: ${this.backupSchedule}\n🔔 Health checks: ${this.alertSchedule}`,
+            `🚀 **VIP Service Online**\n📅 Backup: ${this.backupSchedule}\n🔔 Health checks: ${this.alertSchedule}` +
+            (this.vipManagers.length > 1 ? `\n🌐 Servers: ${this.vipManagers.map(manager => manager.serverName).join(', ')}` : '') +
+            (this.sync.enabled ? `\n🔁 Sync: ${this.sync.schedule}${this.sync.dryRun ? ' (dry run)' : ''}` : '') +
+            (this.seeding.enabled ? `\n🌱 Seeding rewards: ${this.seeding.targetMinutes} minutes below ${this.seeding.threshold} players = ${this.seeding.reward} VIP` : '') +
+            (this.enforcement.enabled ? `\n🧹 Enforcement: ${this.enforcement.schedule}${this.enforcement.dryRun ? ' (dry run)' : ''}` : ''),
             0x00FF00
         );
 
@@ -189,18 +466,31 @@ class VIPService {
 
     async status() {
         try {
-            const connectionTest = await this.vipManager.testConnection();
-            const analysis = await this.vipManager.analyzeVips();
-
             console.log('\n📊 VIP Service Status');
             console.log('=====================');
             console.log(`🔄 Service Running: ${this.isRunning ? 'Yes' : 'No'}`);
-            console.log(`🌐 Server: ${connectionTest.serverName || 'Unknown'}`);
-            console.log(`👥 Players: ${connectionTest.playerCount || 0}/${connectionTest.maxPlayers || 0}`);
-            console.log(`🎖️ Total VIPs: ${analysis.total}`);
-            console.log(`⚠️ Needs Attention: ${analysis.expired + analysis.expiringToday + analysis.expiringSoon}`);
+
+            let totalVips = 0;
+            for (const vipManager of this.vipManagers) {
+                const connectionTest = await vipManager.testConnection();
+                const analysis = await vipManager.analyzeVips();
+                totalVips += analysis.total;
+
+                if (vipManager.isLabelled()) console.log(`\n🏷️ Profile: ${vipManager.serverName}`);
+                console.log(`🌐 Server: ${connectionTest.serverName || 'Unknown'}`);
+                console.log(`👥 Players: ${connectionTest.playerCount || 0}/${connectionTest.maxPlayers || 0}`);
+                console.log(`🎖️ Total VIPs: ${analysis.total}`);
+                console.log(`⚠️ Needs Attention: ${analysis.expired + analysis.expiringToday + analysis.expiringSoon}`);
+            }
+
+            if (this.vipManagers.length > 1) {
+                console.log(`\n🎖️ VIPs Across ${this.vipManagers.length} Servers: ${totalVips}`);
+            }
             console.log(`📅 Next Backup: ${this.backupSchedule}`);
             console.log(`🔔 Next Health Check: ${this.alertSchedule}`);
+            console.log(`🧹 Enforcement: ${this.enforcement.enabled ? this.enforcement.schedule : 'Disabled'}`);
+            console.log(`🔁 Sync: ${this.sync.enabled ? this.sync.schedule : 'Disabled'}`);
+            console.log(`🌱 Seeding Rewards: ${this.seeding.enabled ? this.seeding.schedule : 'Disabled'}`);
 
         } catch (error) {
             console.error(`❌ Status check failed: ${error.message}`);
@@ -210,12 +500,12 @@ class VIPService {
 
 // CLI Interface
 async function main() {
-    const args = process.argv.slice(2);
+    const args = applyConfigArgs(process.argv.slice(2));
     const command = args[0];
 
-    const service = new VIPService();
-
     try {
+        const service = new VIPService();
+
         switch (command) {
             case 'start':
                 service.start();
@@ -231,16 +521,50 @@ async function main() {
                 await service.performHealthCheck();
                 break;
 
+            case 'enforce':
+                await service.performEnforcement(
+                    args.includes('--apply') ? { dryRun: false } : args.includes('--dry-run') ? { dryRun: true } : {}
+                );
+                break;
+
+            case 'sync':
+                const syncOptions = args.includes('--apply') ? { dryRun: false } : args.includes('--dry-run') ? { dryRun: true } : {};
+                if (args.includes('--remove-extras')) syncOptions.removeExtras = true;
+                await service.performSync(syncOptions);
+                break;
+
+            case 'seed':
+                const seedingResults = await service.performSeeding();
+                seedingResults.forEach(result => {
+                    if (result.error) return;
+                    console.log(`🌱 ${result.server}: ${result.playerCount} players, ${result.seeding ? 'seeding' : 'not seeding'}` +
+                        `, ${result.rewarded.length} rewarded`);
+                });
+                break;
+
+            case 'seeders':
+                const rewards = new SeedingRewards(service.seeding);
+                for (const vipManager of service.seedingServers()) {
+                    if (vipManager.isLabelled()) console.log(`\n🏷️ Profile: ${vipManager.serverName}`);
+                    const progress = await rewards.progress(vipManager.serverName);
+                    if (progress.length === 0) console.log('No seeding minutes recorded yet');
+                    progress.forEach(entry => console.log(
+                        `🌱 ${entry.name || entry.player_id} (${entry.player_id}) - ${Math.floor(entry.minutes)}/${service.seeding.targetMinutes} min, ` +
+                        `${Math.floor(entry.totalMinutes)} min total, ${entry.rewards} rewards`));
+                }
+                break;
+
             case 'status':
                 await service.status();
                 break;
 
             case 'test':
-                await service.vipManager.sendDiscordNotification(
+                const { sent, failed } = await service.vipManager.notify(
+                    'test',
                     'Service Test',
                     '🧪 VIP Service test notification - all systems operational!'
                 );
-                console.log('✅ Test notification sent');
+                console.log(`${failed > 0 ? '⚠️' : '✅'} Test notification sent to ${sent} channel(s)${failed > 0 ? `, ${failed} failed` : ''}`);
                 break;
 
             default:
@@ -251,8 +575,12 @@ async function main() {
                 console.log('  start   - Start the automated service (runs continuously)');
                 console.log('  backup  - Perform manual backup now');
                 console.log('  check   - Perform manual health check now');
+                console.log('  enforce - Remove VIPs expired past the grace period [--dry-run|--apply]');
+                console.log('  sync    - Match other servers to the sync source [--dry-run|--apply] [--remove-extras]');
+                console.log('  seed    - Poll for seeding players now and grant due rewards');
+                console.log('  seeders - Show seeding minutes per player');
                 console.log('  status  - Show current service status');
-                console.log('  test    - Test Discord notifications');
+                console.log('  test    - Test notification channels');
         }
     } catch (error) {
         console.error(`❌ Service failed: ${error.message}`);
@@ -0,0 +1,216 @@
+/**
+ * Local VIP history store - an append-only JSON-lines file of every VIP change
+ * observed on CRCON or made through this tool
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeVip, diffVipLists, expirationRank } = require('./vip-file');
+const { getConfig } = require('./config');
+
+class VIPStore {
+    constructor(filepath = getConfig().history.file) {
+        this.filepath = filepath;
+    }
+
+    async readRecords() {
+        let content;
+        try {
+            content = await fs.readFile(this.filepath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return content
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    // Skip a partially written last line rather than losing the history
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    async append(records) {
+        if (records.length === 0) return;
+        await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+        await fs.appendFile(this.filepath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    }
+
+    /**
+     * Replay the history into the last known VIP list of a server
+     */
+    async getKnownState(server) {
+        const records = await this.readRecords();
+        const state = new Map();
+        let observed = false;
+
+        records.filter(record => record.server === server).forEach(record => {
+            if (record.type === 'snapshot') {
+                observed = true;
+            } else if (record.type === 'added' || record.type === 'changed') {
+                state.set(record.player_id, { player_id: record.player_id, name: record.name, expiration: record.expiration });
+            } else if (record.type === 'removed') {
+                state.delete(record.player_id);
+            }
+        });
+
+        return { state, observed };
+    }
+
+    /**
+     * Record a VIP list fetched from CRCON. Only differences from the known
+     * state are stored, so changes made through this tool are not counted twice.
+     */
+    async recordObservation(server, vipList) {
+        const { state, observed } = await this.getKnownState(server);
+        const diff = diffVipLists([...state.values()], vipList);
+        const timestamp = new Date().toISOString();
+        const base = { timestamp, server, source: 'observed', actor: null };
+
+        const records = [
+            ...diff.added.map(vip => ({
+                ...base,
+                type: 'added',
+                // VIPs present the first time a server is observed predate the history
+                baseline: !observed,
+                player_id: vip.player_id,
+                name: vip.name,
+                expiration: vip.expiration
+            })),
+            ...diff.changed
+                .filter(change => change.fields.includes('expiration'))
+                .map(change => ({
+                    ...base,
+                    type: 'changed',
+                    player_id: change.player_id,
+                    name: change.after.name,
+                    expiration: change.after.expiration,
+                    previousExpiration: change.before.expiration
+                })),
+            ...diff.removed.map(vip => ({
+                ...base,
+                type: 'removed',
+                player_id: vip.player_id,
+                name: vip.name,
+                previousExpiration: vip.expiration
+            })),
+            { timestamp, server, type: 'snapshot', count: vipList.length }
+        ];
+
+        await this.append(records);
+        return diff;
+    }
+
+    /**
+     * Record a grant, extension or restore made through this tool
+     */
+    async recordChange(server, vip, options = {}) {
+        const { source = 'manual', actor = null } = options;
+        const entry = normalizeVip(vip);
+        const { state } = await this.getKnownState(server);
+        const previous = state.get(entry.player_id);
+
+        await this.append([{
+            timestamp: new Date().toISOString(),
+            server,
+            type: previous ? 'changed' : 'added',
+            source,
+            actor,
+            player_id: entry.player_id,
+            name: entry.name,
+            expiration: entry.expiration,
+            previousExpiration: previous ? previous.expiration : undefined
+        }]);
+    }
+
+    /**
+     * Record a VIP removal made through this tool
+     */
+    async recordRemoval(server, playerId, options = {}) {
+        const { source = 'manual', actor = null } = options;
+        const { state } = await this.getKnownState(server);
+        const previous = state.get(String(playerId));
+
+        await this.append([{
+            timestamp: new Date().toISOString(),
+            server,
+            type: 'removed',
+            source,
+            actor,
+            player_id: String(playerId),
+            name: previous ? previous.name : undefined,
+            previousExpiration: previous ? previous.expiration : undefined
+        }]);
+    }
+
+    /**
+     * Summarize a player's VIP history across all servers
+     */
+    async getPlayerHistory(playerId) {
+        const id = String(playerId).trim();
+        const events = (await this.readRecords())
+            .filter(record => record.player_id === id)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        if (events.length === 0) {
+            return null;
+        }
+
+        const servers = {};
+        const grantedBy = new Set();
+        let renewals = 0;
+
+        events.forEach(event => {
+            const current = servers[event.server];
+
+            if (event.type === 'added') {
+                // Re-granting a VIP that lapsed counts as a renewal
+                if (current && current.removedAt) renewals++;
+                servers[event.server] = {
+                    firstVip: current ? current.firstVip : event.timestamp,
+                    baseline: current ? current.baseline : Boolean(event.baseline),
+                    active: true,
+                    expiration: event.expiration
+                };
+            } else if (event.type === 'changed' && current) {
+                if (expirationRank(event.expiration) > expirationRank(event.previousExpiration)) renewals++;
+                current.expiration = event.expiration;
+                current.active = true;
+            } else if (event.type === 'removed' && current) {
+                current.active = false;
+                current.removedAt = event.timestamp;
+            }
+
+            if (event.actor && event.type !== 'removed') {
+                grantedBy.add(event.actor);
+            }
+        });
+
+        const firstVip = Object.values(servers).map(server => server.firstVip).sort()[0] || null;
+
+        return {
+            player_id: id,
+            name: events[events.length - 1].name,
+            firstSeen: events[0].timestamp,
+            firstVip,
+            // The player was already VIP when the history started, so the real first grant is earlier
+            firstVipIsBaseline: Object.values(servers).some(server => server.firstVip === firstVip && server.baseline),
+            renewals,
+            grantedBy: [...grantedBy],
+            servers: Object.fromEntries(Object.entries(servers).map(([server, info]) => [server, {
+                active: info.active,
+                expiration: info.active ? info.expiration : null,
+                firstVip: info.firstVip
+            }])),
+            events
+        };
+    }
+}
+
+module.exports = VIPStore;
@@ -0,0 +1,185 @@
+/**
+ * Cross-server VIP synchronization - reconcile target servers with a source of truth
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeVip, parseVipFile, diffVipLists, expirationRank } = require('./vip-file');
+
+class VIPSync {
+    /**
+     * @param {VIPManager[]} vipManagers - all configured servers
+     * @param {object} options - { source, rosterFile, targets }
+     */
+    constructor(vipManagers, options = {}) {
+        this.vipManagers = vipManagers;
+        this.rosterFile = options.rosterFile || null;
+        this.sourceName = this.rosterFile ? null : (options.source || vipManagers[0].serverName);
+        this.targetNames = options.targets || [];
+    }
+
+    get source() {
+        return this.sourceName
+            ? this.vipManagers.find(manager => manager.serverName === this.sourceName)
+            : null;
+    }
+
+    get targets() {
+        const candidates = this.vipManagers.filter(manager => manager !== this.source);
+        return this.targetNames.length > 0
+            ? candidates.filter(manager => this.targetNames.includes(manager.serverName))
+            : candidates;
+    }
+
+    get sourceLabel() {
+        return this.rosterFile ? `roster ${path.basename(this.rosterFile)}` : this.sourceName;
+    }
+
+    async fetchVipList(vipManager) {
+        const vipList = await vipManager.makeRequest('/api/get_vip_ids');
+        if (!vipList || !Array.isArray(vipList)) {
+            throw new Error(`No VIP data available from ${vipManager.serverName}`);
+        }
+        return vipList.map(normalizeVip);
+    }
+
+    async loadSourceList() {
+        if (this.rosterFile) {
+            const entries = parseVipFile(await fs.readFile(this.rosterFile, 'utf8'));
+            if (entries.length === 0) {
+                throw new Error(`No VIP entries found in ${this.rosterFile}`);
+            }
+            return entries;
+        }
+
+        if (!this.source) {
+            throw new Error(`Unknown sync source: ${this.sourceName}`);
+        }
+        return this.fetchVipList(this.source);
+    }
+
+    /**
+     * Build the per-target plan. Targets holding a later expiration than the
+     * source are reported as conflicts and left untouched.
+     */
+    async buildPlan(options = {}) {
+        const { removeExtras = false } = options;
+
+        if (this.targets.length === 0) {
+            throw new Error('No target servers to synchronize');
+        }
+
+        const sourceList = await this.loadSourceList();
+        const plan = { source: this.sourceLabel, sourceCount: sourceList.length, removeExtras, targets: [] };
+
+        for (const vipManager of this.targets) {
+            const targetPlan = { server: vipManager.serverName, vipManager, add: [], update: [], remove: [], conflicts: [], extras: [] };
+
+            try {
+                const diff = diffVipLists(await this.fetchVipList(vipManager), sourceList);
+                targetPlan.add = diff.added;
+
+                diff.changed.forEach(change => {
+                    if (change.fields.includes('expiration') && expirationRank(change.before.expiration) > expirationRank(change.after.expiration)) {
+                        targetPlan.conflicts.push(change);
+                    } else {
+                        targetPlan.update.push(change);
+                    }
+                });
+
+                if (removeExtras) {
+                    targetPlan.remove = diff.removed;
+                } else {
+                    targetPlan.extras = diff.removed;
+                }
+            } catch (error) {
+                targetPlan.error = error.message;
+            }
+
+            plan.targets.push(targetPlan);
+        }
+
+        return plan;
+    }
+
+    printPlan(plan) {
+        console.log('\n🔁 VIP Sync Plan');
+        console.log('=================');
+        console.log(`📌 Source: ${plan.source} (${plan.sourceCount} VIPs)`);
+
+        plan.targets.forEach(target => {
+            console.log(`\n🌐 Target: ${target.server}`);
+            if (target.error) {
+                console.log(`  ❌ ${target.error}`);
+                return;
+            }
+            target.add.forEach(vip => console.log(`  ➕ ${vip.player_id} ${vip.name} (${vip.expiration || 'permanent'})`));
+            target.update.forEach(change => console.log(
+                `  ✏️ ${change.player_id} ${change.name} (${change.before.expiration || 'permanent'} → ${change.after.expiration || 'permanent'})`
+            ));
+            target.remove.forEach(vip => console.log(`  ➖ ${vip.player_id} ${vip.name}`));
+            target.conflicts.forEach(change => console.log(
+                `  ⚔️ ${change.player_id} ${change.name} has a later expiration here (${change.before.expiration || 'permanent'} vs ${change.after.expiration || 'permanent'})`
+            ));
+            console.log(`  Summary: ${target.add.length} to add, ${target.update.length} to update, ` +
+                `${target.remove.length} to remove, ${target.conflicts.length} conflicts` +
+                (target.extras.length > 0 ? `, ${target.extras.length} extras kept` : ''));
+        });
+    }
+
+    async apply(plan) {
+        for (const target of plan.targets) {
+            target.applied = 0;
+            target.failed = [];
+            if (target.error) continue;
+
+            const { vipManager } = target;
+            const upserts = [...target.add, ...target.update.map(change => change.after)];
+
+            for (const vip of upserts) {
+                try {
+                    await vipManager.addVip(vip.player_id, vip.name, vip.expiration, { source: 'sync', actor: 'sync' });
+                    target.applied++;
+                } catch (error) {
+                    vipManager.log(`Sync failed to update ${vip.player_id}: ${error.message}`, 'error');
+                    target.failed.push({ player_id: vip.player_id, error: error.message });
+                }
+            }
+
+            for (const vip of target.remove) {
+                try {
+                    await vipManager.removeVip(vip.player_id, { source: 'sync', actor: 'sync' });
+                    target.applied++;
+                } catch (error) {
+                    vipManager.log(`Sync failed to remove ${vip.player_id}: ${error.message}`, 'error');
+                    target.failed.push({ player_id: vip.player_id, error: error.message });
+                }
+            }
+        }
+
+        return plan;
+    }
+
+    formatSummary(plan, dryRun) {
+        const lines = [`📌 **Source:** ${plan.source} (${plan.sourceCount} VIPs)`];
+        if (dryRun) lines.unshift('🔍 **Dry run - no changes applied**');
+
+        plan.targets.forEach(target => {
+            if (target.error) {
+                lines.push(`❌ **${target.server}:** ${target.error}`);
+                return;
+            }
+            let line = `🌐 **${target.server}:** ➕ ${target.add.length} | ✏️ ${target.update.length} | ➖ ${target.remove.length}`;
+            if (target.failed && target.failed.length > 0) line += ` | ❌ ${target.failed.length} failed`;
+            lines.push(line);
+            target.conflicts.slice(0, 10).forEach(change => lines.push(
+                `⚔️ **${change.name}** (${change.player_id}) expires later on ${target.server}: ${change.before.expiration || 'permanent'}`
+            ));
+            if (target.conflicts.length > 10) lines.push(`…and ${target.conflicts.length - 10} more conflicts`);
+        });
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = VIPSync;